@@ -6,9 +6,64 @@ Module.register('MMM-Sonos', {
         showArtist: true,
         showAlbum: true,
         showMetadata: true,
+        showSource: true,               // Source icon and label (TV, line-in, radio station, AirPlay...) in the metadata
+        showProgress: true,             // Progress bar with elapsed/remaining time
+        showMemberVolumes: true,        // Expandable per-room volume sliders in the modal for grouped speakers
+        showRoomsPanel: true,           // "Rooms" panel in the modal to group/ungroup rooms
+        showHistory: false,             // "Recent" panel in the modal with the recently played tracks
+        showStats: false,               // "Stats" panel in the modal with the top artists, tracks and rooms
+        statsInRegion: false,           // Listening statistics of statsPeriod below the groups
+        statsPeriod: 'week',            // Period shown in the region and first in the panel: 'today', 'week' or 'month'
+        statsCount: 5,                  // Entries listed per top list
+        showAlarms: false,              // "Alarms" panel in the modal to see upcoming alarms and turn them on or off
+        sleepTimerOptions: [15, 30, 60], // Sleep timer durations in minutes offered in the modal (empty to hide the sleep timer)
+        showFavorites: true,            // "Favorites" panel in the modal to start Sonos favorites and playlists
+        favoritesLauncher: false,       // Show a shortcut to the favorites when nothing is playing
+        showQueue: true,                // "Queue" panel in the modal, tap an entry to jump to it
+        queuePageSize: 50,              // Queue entries fetched at once, more are loaded while scrolling
+        upNextCount: 2,                 // Number of upcoming queue tracks shown under the playing track (0 to hide)
+        showLyrics: false,              // "Lyrics" panel in the modal, the current line follows playback
+        lyricsTicker: false,            // Current lyrics line under the playing track
+        lyrics: {
+            provider: 'folder',         // 'folder': .lrc files in the lyrics folder, 'http': fetched from the url template
+            folder: 'lyrics',           // Relative to the module directory, files named "Artist - Title.lrc" or "Title.lrc"
+            url: ''                     // e.g. 'https://lrclib.net/api/get?artist_name={artist}&track_name={title}&duration={duration}'
+        },
+        displayMode: 'list',            // 'list' shows every group alike, 'hero' shows one group large and the others compact
+        heroPriority: [],               // Rooms to prefer as hero, in order. Otherwise the group that changed track last
+        heroAlbumArtSize: 128,          // Album art size in pixels for the hero group
+        showAlbumArt: true,
+        albumArtSize: 64,               // Album art size in pixels (ignored for the "background" position)
+        albumArtPosition: 'left',       // 'left', 'above' or 'background'
+        proxyAlbumArt: true,            // Serve album art through the MagicMirror server instead of the speaker
+        albumArtCacheSize: 200,         // Maximum number of album art images kept in the local cache
         listenWithPolling: false,
         pollingTimeout: 5000,
         rooms: [],
+        excludeRooms: [],               // Room names or patterns to hide
+        roomMatch: 'any',               // 'any': a group matches when any member matches, 'coordinator': only its coordinator
+        households: [],                 // Household IDs or names (see householdNames) to display. If empty, all households are shown
+        householdNames: {},             // Household ID -> label, e.g. { 'Sonos_abc123': 'Upstairs' }
+        hosts: [],                      // Speaker IPs ('192.168.1.20' or '192.168.1.20:1400') tried before SSDP discovery
+        showStates: ['playing'],        // Play states to display, e.g. ['playing', 'paused', 'transitioning']
+        hidePausedAfter: 0,             // Hide paused/stopped groups after this many minutes (0 to keep them)
+        volumeStep: 5,                  // Volume change for SONOS_VOLUME_UP / SONOS_VOLUME_DOWN notifications
+        rules: [],                      // Automations, e.g. { rooms: ['Kids Room'], from: '22:00', to: '07:00', maxVolume: 25 }
+        powerSave: true,                // Stop polling while nobody is present or the screen is off, events keep coming
+        pauseWhenAbsent: 0,             // Pause the displayed rooms when nobody was present for this many minutes (0 to disable)
+        presenceNotifications: ['USER_PRESENCE'], // Notifications telling with a true/false payload whether someone is present
+        screenOffNotifications: ['SCREEN_OFF'],   // Notifications sent when the screen turns off
+        screenOnNotifications: ['SCREEN_ON'],     // Notifications sent when the screen turns on
+        httpApi: false,                 // Expose HTTP routes under /MMM-Sonos to read state and control rooms
+        httpApiKey: '',                 // API key required by the HTTP routes (empty to allow any caller)
+        mqtt: {
+            url: '',                    // MQTT broker, e.g. 'mqtt://192.168.1.10:1883' (empty to disable the bridge)
+            username: '',
+            password: '',
+            baseTopic: 'sonos',
+            homeAssistant: false,       // Publish Home Assistant discovery payloads
+            discoveryPrefix: 'homeassistant'
+        },
         // Reliability options
         hybridMode: true,               // Use events + backup polling for reliable self-healing (recommended)
         pollingIntervalPlaying: 15000,  // Adaptive polling: 15s when music is playing
@@ -25,10 +80,48 @@ Module.register('MMM-Sonos', {
     },
 
     items: {},
+    zones: [],
+    favorites: null,
+    queue: null,
+    queueLoading: false,
     isModalOpen: false,
+    currentPanel: 'playing',
     currentGroupId: null,
     modalElement: null,
     volumeDebounceTimer: null,
+    memberVolumeDebounceTimers: {},
+    memberVolumesExpanded: false,
+    progressTimer: null,
+    visibleGroupIds: '',
+    lastBroadcast: null,
+    pendingRequests: {},
+    requestCounter: 0,
+    lyricsByGroup: {},
+    alarms: null,
+    history: null,
+    stats: null,
+    statsPeriod: null,
+    statsTimer: null,
+    present: true,
+    screenOn: true,
+
+    // Labels of the periods the node helper sums up listening statistics for
+    statsPeriods: {
+        today: 'Today',
+        week: 'This week',
+        month: 'This month'
+    },
+
+    // Icon and label of each source type the node helper classifies tracks into
+    sources: {
+        'tv': { icon: 'tv', label: 'Watching TV' },
+        'line-in': { icon: 'log-in', label: 'Line-in' },
+        'airplay': { icon: 'airplay', label: 'AirPlay' },
+        'spotify-connect': { icon: 'smartphone', label: 'Spotify Connect' },
+        'radio': { icon: 'radio', label: 'Radio' },
+        'streaming': { icon: 'cloud', label: 'Streaming' },
+        'library': { icon: 'hard-drive', label: 'Music library' }
+    },
 
     debugLog: function (message) {
         if (this.config.debug) {
@@ -43,6 +136,21 @@ Module.register('MMM-Sonos', {
             listenWithPolling: this.config.listenWithPolling,
             pollingTime: this.config.pollingTimeout ?? 5000,
             rooms: this.config.rooms,
+            excludeRooms: this.config.excludeRooms,
+            roomMatch: this.config.roomMatch,
+            households: this.config.households,
+            householdNames: this.config.householdNames,
+            hosts: this.config.hosts,
+            upNextCount: this.config.upNextCount,
+            lyrics: this.config.lyrics,
+            proxyAlbumArt: this.config.proxyAlbumArt,
+            albumArtCacheSize: this.config.albumArtCacheSize,
+            httpApi: this.config.httpApi,
+            httpApiKey: this.config.httpApiKey,
+            mqtt: this.config.mqtt,
+            rules: this.config.rules,
+            powerSave: this.config.powerSave,
+            pauseWhenAbsent: this.config.pauseWhenAbsent,
             // Reliability options
             hybridMode: this.config.hybridMode,
             pollingIntervalPlaying: this.config.pollingIntervalPlaying,
@@ -52,6 +160,22 @@ Module.register('MMM-Sonos', {
             maxConsecutiveFailures: this.config.maxConsecutiveFailures,
             timeouts: this.config.timeouts,
         });
+
+        this.startProgressTimer();
+        this.startStatsTimer();
+    },
+
+    // Positions are interpolated locally between updates from the node_helper
+    startProgressTimer: function () {
+        clearInterval(this.progressTimer);
+        this.progressTimer = setInterval(() => {
+            this.updateProgress();
+
+            // Paused groups expire without any update from the node_helper
+            if (this.getVisibleItems().map(item => item.group.ID).join() !== this.visibleGroupIds) {
+                this.updateDom(this.config.animationSpeed);
+            }
+        }, 1000);
     },
 
     getStyles: function () {
@@ -62,24 +186,140 @@ Module.register('MMM-Sonos', {
         return [this.file('node_modules/feather-icons/dist/feather.min.js')];
     },
 
+    // The node_helper is shared by every instance of the module, tag requests with this instance
+    sendSocketNotification: function (notification, payload) {
+        this._super(notification, { ...payload, identifier: this.identifier });
+    },
+
     socketNotificationReceived: function (id, payload) {
+        // Notifications meant for another instance carry its identifier
+        if (payload && payload.identifier && payload.identifier !== this.identifier) return;
+
         this.debugLog(`Notification received: ${id}`);
 
         switch (id) {
             case 'SET_SONOS_GROUPS':
-                this.debugLog(`Groups received: ${Object.keys(payload).join(', ')}`);
-                this.items = payload;
+                this.debugLog(`Groups received: ${Object.keys(payload.items).join(', ')}`);
+                const previousItem = this.items[this.currentGroupId];
+                const previousItems = this.items;
+                this.items = payload.items;
+                Object.values(this.items).forEach(item => {
+                    this.syncPosition(item, item.track ? item.track.position : 0);
+                    item.sleepTimerUpdatedAt = Date.now();
+                    const previous = previousItems[item.group.ID];
+                    item.stateChangedAt = previous && previous.state === item.state ? previous.stateChangedAt : Date.now();
+                    item.trackChangedAt = !previous ? 0
+                        : previous.track && item.track && previous.track.title === item.track.title ? previous.trackChangedAt : Date.now();
+                });
+                // Group IDs change when rooms are (un)grouped, follow the coordinator
+                if (this.isModalOpen && !this.items[this.currentGroupId]) {
+                    const followed = previousItem && Object.values(this.items)
+                        .find(item => item.group.Coordinator === previousItem.group.Coordinator);
+                    if (followed) {
+                        this.currentGroupId = followed.group.ID;
+                    } else {
+                        this.closeSonosModal();
+                    }
+                }
                 this.updateDom(this.config.animationSpeed);
                 break;
+            case 'SONOS_COMMAND_RESULT':
+                if (!payload.success) {
+                    Log.warn(`[MMM-Sonos] ${payload.command} failed for ${payload.target}: ${payload.error}`);
+                }
+                // Only results for commands from other modules are passed on, each instance sees all of them
+                if (this.pendingRequests.hasOwnProperty(payload.requestId)) {
+                    const request = this.pendingRequests[payload.requestId];
+                    delete this.pendingRequests[payload.requestId];
+                    this.sendNotification('SONOS_COMMAND_RESULT', {
+                        notification: request.notification,
+                        requestId: request.requestId,
+                        target: payload.target,
+                        success: payload.success,
+                        groupId: payload.groupId,
+                        groupName: payload.groupName,
+                        error: payload.error
+                    });
+                }
+                break;
+            case 'SET_SONOS_FAVORITES':
+                this.favorites = payload;
+                if (this.isModalOpen && this.currentPanel === 'favorites') {
+                    this.renderFavorites();
+                }
+                break;
+            case 'SET_SONOS_UP_NEXT':
+                if (this.items.hasOwnProperty(payload.group.ID)) {
+                    this.items[payload.group.ID] = {
+                        ...this.items[payload.group.ID],
+                        group: payload.group,
+                        upNext: payload.items
+                    };
+                    this.updateDom();
+                } else {
+                    this.debugLog(`DROPPED: Up next for unknown group ${payload.group.ID}`);
+                }
+                break;
+            case 'SET_SONOS_QUEUE':
+                if (this.currentGroupId === payload.group.ID) {
+                    this.queueLoading = false;
+                    // First page replaces the queue, following pages are appended while scrolling
+                    const items = payload.start === 0 || !this.queue ? [] : this.queue.items.slice(0, payload.start);
+                    this.queue = {
+                        total: payload.total,
+                        items: items.concat(payload.items)
+                    };
+                    if (this.isModalOpen && this.currentPanel === 'queue') {
+                        this.renderQueue();
+                    }
+                }
+                break;
+            case 'SET_SONOS_LYRICS':
+                // The group moved on to another track while these were looked up
+                if (this.lyricsByGroup[payload.group.ID] && this.lyricsByGroup[payload.group.ID].key !== this.getLyricsKey(payload)) {
+                    this.debugLog(`DROPPED: Lyrics of "${payload.title}" for group ${payload.group.ID}`);
+                    break;
+                }
+                this.lyricsByGroup[payload.group.ID] = {
+                    key: this.getLyricsKey(payload),
+                    lines: payload.lines,
+                    loading: false
+                };
+                if (this.isModalOpen && this.currentPanel === 'lyrics' && this.currentGroupId === payload.group.ID) {
+                    this.renderLyrics();
+                }
+                this.updateLyrics();
+                break;
+            case 'SET_SONOS_ZONES':
+                this.zones = payload;
+                if (this.isModalOpen) {
+                    this.renderRooms();
+                }
+                break;
             case 'SET_SONOS_CURRENT_TRACK':
                 this.debugLog(`Track notification for group ${payload.group.ID}, known: ${this.items.hasOwnProperty(payload.group.ID)}`);
                 if (this.items.hasOwnProperty(payload.group.ID)) {
+                    const previous = this.items[payload.group.ID];
                     this.items[payload.group.ID] = {
-                        ...this.items[payload.group.ID],
+                        ...previous,
                         group: payload.group,
                         track: payload.track,
+                        trackChangedAt: previous.track && previous.track.title === payload.track.title ? previous.trackChangedAt : Date.now()
                     };
+                    // Track events don't carry the position, the node_helper follows up with SET_SONOS_POSITION
+                    if (typeof payload.track.position === 'number') {
+                        this.syncPosition(this.items[payload.group.ID], payload.track.position);
+                    } else if (!previous.track || previous.track.title !== payload.track.title) {
+                        this.syncPosition(this.items[payload.group.ID], 0);
+                    }
                     this.updateDom(this.config.animationSpeed);
+                    if (this.isModalOpen && this.currentPanel === 'queue' && this.currentGroupId === payload.group.ID) {
+                        this.renderQueue();
+                    }
+                    if (this.isModalOpen && this.currentPanel === 'lyrics' && this.currentGroupId === payload.group.ID) {
+                        this.requestLyrics(payload.group.ID);
+                        this.renderLyrics();
+                    }
                 } else {
                     this.debugLog(`DROPPED: Group ID ${payload.group.ID} not in items (known: ${Object.keys(this.items).join(', ')})`);
                 }
@@ -92,10 +332,19 @@ Module.register('MMM-Sonos', {
                         volume: payload.volume
                     };
                     this.updateDom();
+                    // Moving the group volume moves every room with it
+                    if (this.memberVolumesExpanded && this.currentGroupId === payload.group.ID) {
+                        this.requestMemberVolumes();
+                    }
                 } else {
                     this.debugLog(`DROPPED: Volume for unknown group ${payload.group.ID}`);
                 }
                 break;
+            case 'SET_SONOS_MEMBER_VOLUMES':
+                if (this.isModalOpen && this.currentGroupId === payload.group.ID) {
+                    this.renderMemberVolumes(payload.members);
+                }
+                break;
             case 'SET_SONOS_MUTE':
                 if (this.items.hasOwnProperty(payload.group.ID)) {
                     this.items[payload.group.ID] = {
@@ -108,12 +357,93 @@ Module.register('MMM-Sonos', {
                     this.debugLog(`DROPPED: Mute for unknown group ${payload.group.ID}`);
                 }
                 break;
-            case 'SET_SONOS_PLAY_STATE':
+            case 'SET_SONOS_POSITION':
+                if (this.items.hasOwnProperty(payload.group.ID)) {
+                    const item = this.items[payload.group.ID];
+                    if (item.track && payload.duration) {
+                        item.track.duration = payload.duration;
+                    }
+                    this.syncPosition(item, payload.position);
+                    this.updateProgress();
+                } else {
+                    this.debugLog(`DROPPED: Position for unknown group ${payload.group.ID}`);
+                }
+                break;
+            case 'SET_SONOS_PLAY_MODE':
                 if (this.items.hasOwnProperty(payload.group.ID)) {
                     this.items[payload.group.ID] = {
                         ...this.items[payload.group.ID],
                         group: payload.group,
-                        state: payload.state
+                        playMode: payload.playMode
+                    };
+                    this.updateDom();
+                } else {
+                    this.debugLog(`DROPPED: Play mode for unknown group ${payload.group.ID}`);
+                }
+                break;
+            case 'SET_SONOS_SLEEP_TIMER':
+                if (this.items.hasOwnProperty(payload.group.ID)) {
+                    this.items[payload.group.ID] = {
+                        ...this.items[payload.group.ID],
+                        group: payload.group,
+                        sleepTimer: payload.remaining,
+                        sleepTimerUpdatedAt: Date.now()
+                    };
+                    this.updateDom();
+                    this.updateSleepTimer();
+                } else {
+                    this.debugLog(`DROPPED: Sleep timer for unknown group ${payload.group.ID}`);
+                }
+                break;
+            case 'SET_SONOS_HISTORY':
+                if (this.pendingRequests.hasOwnProperty(payload.requestId)) {
+                    const request = this.pendingRequests[payload.requestId];
+                    delete this.pendingRequests[payload.requestId];
+                    this.sendNotification('SONOS_HISTORY', {
+                        requestId: request.requestId,
+                        items: payload.items
+                    });
+                } else if (!payload.requestId) {
+                    this.history = payload.items;
+                    if (this.isModalOpen && this.currentPanel === 'history') {
+                        this.renderHistory();
+                    }
+                }
+                break;
+            case 'SET_SONOS_STATS':
+                if (this.pendingRequests.hasOwnProperty(payload.requestId)) {
+                    const request = this.pendingRequests[payload.requestId];
+                    delete this.pendingRequests[payload.requestId];
+                    this.sendNotification('SONOS_STATS', {
+                        requestId: request.requestId,
+                        stats: payload.stats
+                    });
+                } else if (!payload.requestId) {
+                    this.stats = payload.stats;
+                    if (this.isModalOpen && this.currentPanel === 'stats') {
+                        this.renderStats();
+                    }
+                    if (this.config.statsInRegion) {
+                        this.updateDom(this.config.animationSpeed);
+                    }
+                }
+                break;
+            case 'SET_SONOS_ALARMS':
+                this.alarms = payload.alarms;
+                if (this.isModalOpen && this.currentPanel === 'alarms') {
+                    this.renderAlarms();
+                }
+                break;
+            case 'SET_SONOS_PLAY_STATE':
+                if (this.items.hasOwnProperty(payload.group.ID)) {
+                    const previous = this.items[payload.group.ID];
+                    // Freeze (or restart) interpolation from where it is now
+                    this.syncPosition(previous, this.getElapsed(previous));
+                    this.items[payload.group.ID] = {
+                        ...previous,
+                        group: payload.group,
+                        state: payload.state,
+                        stateChangedAt: previous.state === payload.state ? previous.stateChangedAt : Date.now()
                     };
                     this.updateDom(this.config.animationSpeed);
                 } else {
@@ -124,10 +454,139 @@ Module.register('MMM-Sonos', {
                 Log.info(`Notification with ID "${id}" unsupported. Ignoring...`);
                 break;
         }
+
+        if (['SET_SONOS_GROUPS', 'SET_SONOS_CURRENT_TRACK', 'SET_SONOS_VOLUME', 'SET_SONOS_MUTE', 'SET_SONOS_PLAY_STATE'].includes(id)) {
+            this.broadcastState();
+        }
+    },
+
+    // Commands from other modules (voice assistants, remote control, buttons, ...)
+    notificationReceived: function (notification, payload, sender) {
+        if (this.updatePresence(notification, payload)) return;
+
+        // Other modules read the play history with SONOS_GET_HISTORY { room, limit, requestId } and get SONOS_HISTORY back,
+        // the listening statistics with SONOS_GET_STATS { room, count, requestId } and get SONOS_STATS back
+        if (['SONOS_GET_HISTORY', 'SONOS_GET_STATS'].includes(notification)) {
+            if (MM.getModules().find(module => module.name === this.name) !== this) return;
+            const requestId = `${this.identifier}-${++this.requestCounter}`;
+            this.pendingRequests[requestId] = {
+                notification,
+                requestId: payload && payload.requestId
+            };
+            this.sendSocketNotification(notification, {
+                room: payload && payload.room,
+                limit: payload && payload.limit,
+                count: payload && payload.count,
+                requestId
+            });
+            return;
+        }
+
+        const step = (payload && payload.step) || this.config.volumeStep;
+        const commands = {
+            SONOS_PLAY: ['SONOS_PLAY', {}],
+            SONOS_PAUSE: ['SONOS_PAUSE', {}],
+            SONOS_TOGGLE_PLAY_PAUSE: ['SONOS_TOGGLE_PLAY_PAUSE', {}],
+            SONOS_NEXT: ['SONOS_NEXT', {}],
+            SONOS_PREVIOUS: ['SONOS_PREVIOUS', {}],
+            SONOS_VOLUME_UP: ['SONOS_ADJUST_VOLUME', { adjustment: step }],
+            SONOS_VOLUME_DOWN: ['SONOS_ADJUST_VOLUME', { adjustment: -step }],
+            SONOS_SET_VOLUME: ['SONOS_SET_VOLUME', { volume: payload && payload.volume }],
+            SONOS_MUTE: ['SONOS_SET_MUTE', { isMuted: true }],
+            SONOS_UNMUTE: ['SONOS_SET_MUTE', { isMuted: false }]
+        };
+
+        if (!commands.hasOwnProperty(notification)) return;
+
+        // Every instance receives the notification, only the first one forwards it to the shared node_helper
+        if (MM.getModules().find(module => module.name === this.name) !== this) return;
+
+        const senderName = sender ? sender.name : 'unknown';
+        // The node_helper resolves room names, group IDs and speaker UUIDs
+        const target = (payload && (payload.room || payload.target)) || this.getDefaultGroupId();
+        if (!target) {
+            Log.warn(`[MMM-Sonos] ${notification} from ${senderName}: no room given and no group to fall back to`);
+            return;
+        }
+
+        const requestId = `${this.identifier}-${++this.requestCounter}`;
+        this.pendingRequests[requestId] = {
+            notification,
+            requestId: payload && payload.requestId
+        };
+
+        this.debugLog(`${notification} from ${senderName} for ${target}`);
+        const [command, args] = commands[notification];
+        this.sendSocketNotification(command, { ...args, target, requestId });
+    },
+
+    // Presence sensors and screen savers (e.g. MMM-PIR-Sensor), returns whether the notification was one of theirs
+    updatePresence: function (notification, payload) {
+        let present = this.present;
+        let screenOn = this.screenOn;
+        if ((this.config.presenceNotifications || []).includes(notification)) {
+            present = payload !== false && payload !== 'false';
+        } else if ((this.config.screenOffNotifications || []).includes(notification)) {
+            screenOn = false;
+        } else if ((this.config.screenOnNotifications || []).includes(notification)) {
+            screenOn = true;
+        } else {
+            return false;
+        }
+
+        // Sensors repeat their state, the node_helper only needs the changes
+        if (present !== this.present || screenOn !== this.screenOn) {
+            this.present = present;
+            this.screenOn = screenOn;
+            this.debugLog(`${notification}: ${present ? 'someone present' : 'nobody present'}, screen ${screenOn ? 'on' : 'off'}`);
+            this.sendSocketNotification('SONOS_PRESENCE', { present, screenOn });
+
+            // Nobody reads the statistics meanwhile, they are fetched again once someone is back
+            if (present && screenOn) {
+                this.startStatsTimer();
+            } else {
+                this.stopStatsTimer();
+            }
+        }
+        return true;
+    },
+
+    // Without a room, fall back to the first playing group, or the only group there is
+    getDefaultGroupId: function () {
+        const items = Object.values(this.items);
+        const item = items.find(item => item.state === 'playing') || (items.length === 1 ? items[0] : null);
+        return item ? item.group.ID : null;
+    },
+
+    broadcastState: function () {
+        const groups = Object.values(this.items).map(item => ({
+            groupId: item.group.ID,
+            name: item.group.Name,
+            rooms: item.group.ZoneGroupMember
+                .filter(member => member.Invisible !== '1')
+                .map(member => member.ZoneName),
+            state: item.state,
+            volume: item.volume,
+            isMuted: item.isMuted,
+            track: item.track ? {
+                title: item.track.title,
+                artist: item.track.artist,
+                album: item.track.album,
+                duration: item.track.duration,
+                albumArtURL: item.track.albumArtURL
+            } : null
+        }));
+
+        // Events repeat unchanged values, only tell other modules about actual changes
+        const serialized = JSON.stringify(groups);
+        if (serialized === this.lastBroadcast) return;
+        this.lastBroadcast = serialized;
+
+        this.sendNotification('SONOS_STATE_CHANGED', { groups });
     },
 
     getHeader: function () {
-        if (this.data.header && Object.values(this.items).some(item => item.state === 'playing' && item.track)) {
+        if (this.data.header && this.getVisibleItems().length > 0) {
             return this.data.header;
         }
     },
@@ -141,63 +600,61 @@ Module.register('MMM-Sonos', {
 
         const container = document.createElement('div');
         container.className = 'sonos light';
-        container.append(...Object.values(this.items)
-            .filter(item => item.state === 'playing' && item.track)
-            .map(item => {
-                const groupContainer = document.createElement('div');
-                groupContainer.className = 'sonos-group clickable';
-                groupContainer.dataset.groupId = item.group.ID;
-
-                // Add click handler to open modal
-                groupContainer.addEventListener('click', function(event) {
-                    event.stopPropagation();
-                    self.openSonosModal(item.group.ID);
-                });
 
-                const track = document.createElement('div');
-                track.className = 'track';
-                track.innerHTML = `<strong class="bright ticker">${item.track.title}</strong>`;
-                groupContainer.append(track);
-
-                const artist = [];
-                if (this.config.showArtist && item.track.artist) {
-                    artist.push(`<span class="bright">${item.track.artist}</span>`);
-                }
-                if (this.config.showAlbum && item.track.album) {
-                    artist.push(`${item.track.album}`);
-                }
-                if (artist.length > 0) {
-                    const artistElement = document.createElement('div');
-                    artistElement.className = 'artist small ticker';
-                    artistElement.innerHTML = artist.join('&nbsp;○&nbsp;');
-                    groupContainer.append(artistElement);
-                }
+        // Nothing playing, offer a way to start something from the mirror
+        if (this.config.showFavorites && this.config.favoritesLauncher &&
+            this.getVisibleItems().length === 0) {
+            const launcher = document.createElement('div');
+            launcher.className = 'sonos-launcher clickable small dimmed';
+            launcher.innerHTML = `${this.getIcon('star', '')}&nbsp;<span>Play a favorite</span>`;
+            launcher.addEventListener('click', function(event) {
+                event.stopPropagation();
+                self.openSonosModal(Object.keys(self.items)[0], 'favorites');
+            });
+            container.append(launcher);
+        }
 
-                if (this.config.showMetadata) {
-                    let volume;
-                    if (item.isMuted === true) {
-                        volume = `${this.getIcon('volume-x', 'dimmed')}`;
-                    } else {
-                        volume = `${this.getIcon(item.volume < 50 ? 'volume-1' : 'volume-2', 'dimmed')}&nbsp;<span>${item.volume}</span>`;
+        const visibleItems = this.getVisibleItems();
+        this.visibleGroupIds = visibleItems.map(item => item.group.ID).join();
+
+        // Household labels only when groups of several households are on display
+        const showHouseholds = new Set(visibleItems.map(item => item.group.householdId)).size > 1;
+
+        if (this.config.displayMode === 'hero' && visibleItems.length > 0) {
+            // One group large, the others as a compact list below it
+            const hero = this.getHeroItem(visibleItems);
+            const heroElement = this.createGroupElement(hero, this.config.heroAlbumArtSize);
+            heroElement.classList.add('sonos-hero');
+            container.append(heroElement);
+
+            const others = visibleItems.filter(item => item !== hero);
+            if (others.length > 0) {
+                const list = document.createElement('div');
+                list.className = 'sonos-compact-list';
+                list.append(...others.map(item => this.createCompactGroupElement(item)));
+                container.append(list);
+            }
+        } else {
+            container.append(...visibleItems
+                .flatMap((item, index) => {
+                    const groupContainer = this.createGroupElement(item, this.config.albumArtSize);
+
+                    if (showHouseholds && (index === 0 || visibleItems[index - 1].group.householdId !== item.group.householdId)) {
+                        const household = document.createElement('div');
+                        household.className = 'sonos-household xsmall dimmed';
+                        household.textContent = item.group.householdName;
+                        return [household, groupContainer];
                     }
 
-                    const groupName = this.config.showFullGroupName
-                        ? item.group.ZoneGroupMember.map(member => member.ZoneName).join(' + ')
-                        : item.group.Name;
-
-                    const metadata = document.createElement('div');
-                    metadata.className = 'metadata small normal';
-                    metadata.innerHTML =
-                        `<span>${this.getIcon('speaker', 'dimmed')}&nbsp;<span class="group-name ticker">${groupName}</span></span>` +
-                        '&nbsp;' +
-                        `<span>${volume}</span>` +
-                        '&nbsp;' +
-                        `<span>${this.getIcon('activity', 'dimmed')}&nbsp;<span>${Math.floor(item.track.duration / 60)}:${Math.ceil(item.track.duration % 60).toString().padStart(2, '0')}</span></span>`;
-                    groupContainer.append(metadata);
-                }
+                    return groupContainer;
+                }));
+        }
 
-                return groupContainer;
-            }));
+        if (this.config.statsInRegion && this.stats && this.stats[this.config.statsPeriod]) {
+            const stats = this.createStatsElement(this.stats[this.config.statsPeriod], this.config.statsPeriod);
+            stats.classList.add('sonos-stats', 'xsmall');
+            container.append(stats);
+        }
 
         // Create modal if not exists
         if (!this.modalElement) {
@@ -212,7 +669,7 @@ Module.register('MMM-Sonos', {
             // Update track info in modal
             const trackEl = document.querySelector(`#sonos-modal-track-${id}`);
             if (trackEl && currentItem.track) {
-                trackEl.textContent = currentItem.track.title;
+                trackEl.textContent = this.getTrackTitle(currentItem.track);
             }
 
             const artistEl = document.querySelector(`#sonos-modal-artist-${id}`);
@@ -225,8 +682,17 @@ Module.register('MMM-Sonos', {
                 albumEl.textContent = currentItem.track.album || 'Unknown Album';
             }
 
+            const roomEl = document.querySelector(`#sonos-modal-room-${id}`);
+            if (roomEl) {
+                roomEl.textContent = this.getGroupName(currentItem.group);
+            }
+
+            this.updateModalAlbumArt(currentItem.track);
+            this.updateProgress();
+
             // Update play/pause icon
             this.updatePlayPauseIcon(currentItem.state);
+            this.updatePlayModeButtons(currentItem.playMode);
 
             // Update volume (only if slider not being dragged)
             const slider = document.querySelector(`#sonos-modal-volume-slider-${id}`);
@@ -242,6 +708,327 @@ Module.register('MMM-Sonos', {
         return container;
     },
 
+    createGroupElement: function (item, albumArtSize) {
+        const self = this;
+        const groupContainer = document.createElement('div');
+        groupContainer.className = `sonos-group clickable state-${item.state}`;
+        groupContainer.dataset.groupId = item.group.ID;
+
+        // Add click handler to open modal
+        groupContainer.addEventListener('click', function(event) {
+            event.stopPropagation();
+            self.openSonosModal(item.group.ID);
+        });
+
+        // Text details go in their own wrapper when album art sits beside or behind them
+        let details = groupContainer;
+        const albumArtUrl = this.config.showAlbumArt ? this.getAlbumArtUrl(item.track) : null;
+        if (albumArtUrl) {
+            groupContainer.classList.add(`art-${this.config.albumArtPosition}`);
+            if (this.config.albumArtPosition === 'background') {
+                const background = document.createElement('div');
+                background.className = 'album-art-background';
+                background.style.backgroundImage = `url("${albumArtUrl}")`;
+                groupContainer.append(background);
+            } else {
+                const albumArt = document.createElement('img');
+                albumArt.className = 'album-art';
+                albumArt.src = albumArtUrl;
+                albumArt.style.width = `${albumArtSize}px`;
+                albumArt.style.height = `${albumArtSize}px`;
+                groupContainer.append(albumArt);
+            }
+            details = document.createElement('div');
+            details.className = 'details';
+            groupContainer.append(details);
+        }
+
+        // Track metadata comes from the speakers and streaming services, it is only ever set as text
+        const track = document.createElement('div');
+        track.className = 'track';
+        const title = this.getTrackTitle(item.track);
+        const trackTitle = document.createElement('strong');
+        trackTitle.className = 'bright ticker';
+        trackTitle.innerHTML = this.getStateIcon(item.state);
+        trackTitle.append(title);
+        track.append(trackTitle);
+        details.append(track);
+
+        const artist = [];
+        if (this.config.showArtist && item.track.artist) {
+            artist.push(this.createTextElement('span', 'bright', item.track.artist));
+        }
+        if (this.config.showAlbum && item.track.album) {
+            artist.push(item.track.album);
+        }
+        if (artist.length > 0) {
+            const artistElement = document.createElement('div');
+            artistElement.className = 'artist small ticker';
+            artist.forEach((part, index) => {
+                artistElement.append(...(index > 0 ? ['\u00a0○\u00a0', part] : [part]));
+            });
+            details.append(artistElement);
+        }
+
+        if (this.config.lyricsTicker && item.track.title) {
+            this.requestLyrics(item.group.ID);
+            const lyricsLine = document.createElement('div');
+            lyricsLine.className = 'lyrics-line small ticker';
+            lyricsLine.dataset.groupId = item.group.ID;
+            lyricsLine.textContent = this.getLyricsLine(item);
+            details.append(lyricsLine);
+        }
+
+        const showProgress = this.config.showProgress && item.track.duration > 0;
+        if (showProgress) {
+            details.append(this.createProgress(item, 'progress small'));
+        }
+
+        if (this.config.upNextCount > 0 && item.upNext && item.upNext.length > 0) {
+            const upNext = document.createElement('div');
+            upNext.className = 'up-next xsmall dimmed';
+            upNext.append(this.createTextElement('div', 'up-next-label', 'Up next'), ...item.upNext
+                .slice(0, this.config.upNextCount)
+                .map(next => this.createTextElement('div', 'ticker', next.artist ? `${next.title}\u00a0○\u00a0${next.artist}` : next.title)));
+            details.append(upNext);
+        }
+
+        if (this.config.showMetadata) {
+            const metadata = document.createElement('div');
+            metadata.className = 'metadata small normal';
+
+            // An icon, with some text next to it
+            const addMetadata = (icon, text, className) => {
+                const entry = document.createElement('span');
+                entry.innerHTML = this.getIcon(icon, 'dimmed');
+                if (text !== null) {
+                    entry.append('\u00a0', this.createTextElement('span', className, text));
+                }
+                if (metadata.childNodes.length > 0) {
+                    metadata.append('\u00a0');
+                }
+                metadata.append(entry);
+                return entry;
+            };
+
+            addMetadata('speaker', this.getGroupName(item.group), 'group-name ticker');
+            if (item.isMuted === true) {
+                addMetadata('volume-x', null);
+            } else {
+                addMetadata(item.volume < 50 ? 'volume-1' : 'volume-2', String(item.volume));
+            }
+            const sleepTimer = this.getSleepTimerRemaining(item);
+            if (sleepTimer !== null) {
+                const sleepTimerElement = addMetadata('moon', this.formatTime(sleepTimer));
+                sleepTimerElement.className = 'sleep-timer';
+                sleepTimerElement.dataset.groupId = item.group.ID;
+            }
+            const source = this.sources[item.track.source];
+            if (this.config.showSource && source) {
+                // Title-less sources already show their label as title
+                const label = item.track.station || source.label;
+                addMetadata(source.icon, label !== title ? label : null, 'source ticker');
+            }
+            // The progress bar already shows the elapsed and remaining time
+            if (!showProgress) {
+                addMetadata('activity', this.formatTime(item.track.duration));
+            }
+            details.append(metadata);
+        }
+
+        return groupContainer;
+    },
+
+    createCompactGroupElement: function (item) {
+        const self = this;
+        const groupContainer = document.createElement('div');
+        groupContainer.className = `sonos-group sonos-compact clickable small state-${item.state}`;
+        groupContainer.dataset.groupId = item.group.ID;
+        groupContainer.addEventListener('click', function(event) {
+            event.stopPropagation();
+            self.openSonosModal(item.group.ID);
+        });
+
+        const track = document.createElement('span');
+        track.className = 'ticker';
+        track.innerHTML = this.getStateIcon(item.state);
+        track.append(this.createTextElement('span', 'bright', this.getTrackTitle(item.track)));
+        if (this.config.showArtist && item.track.artist) {
+            track.append(`\u00a0○\u00a0${item.track.artist}`);
+        }
+        groupContainer.append(track, this.createTextElement('span', 'group-name dimmed', this.getGroupName(item.group)));
+
+        return groupContainer;
+    },
+
+    getStateIcon: function (state) {
+        return state === 'playing' ? '' : `${this.getIcon(state === 'transitioning' ? 'loader' : 'pause', 'state-icon')}&nbsp;`;
+    },
+
+    // Text from the speakers is never parsed as HTML
+    createTextElement: function (tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) {
+            element.className = className;
+        }
+        element.textContent = text;
+        return element;
+    },
+
+    // TV, line-in and stations between songs have no title, show the station or what is playing instead
+    getTrackTitle: function (track) {
+        const source = this.sources[track.source];
+        return track.title || track.station || (source ? source.label : 'Unknown Track');
+    },
+
+    // The first room of heroPriority that is on display, otherwise the group that changed track last
+    getHeroItem: function (items) {
+        const priority = Array.isArray(this.config.heroPriority) ? this.config.heroPriority : [];
+        for (const room of priority) {
+            const name = String(room).toLowerCase();
+            const item = items.find(item => item.group.Name.toLowerCase() === name ||
+                item.group.ZoneGroupMember.some(member => member.ZoneName && member.ZoneName.toLowerCase() === name));
+            if (item) return item;
+        }
+
+        return items.reduce((hero, item) => (item.trackChangedAt || 0) > (hero.trackChangedAt || 0) ? item : hero);
+    },
+
+    getVisibleItems: function () {
+        const showStates = Array.isArray(this.config.showStates) && this.config.showStates.length > 0
+            ? this.config.showStates
+            : ['playing'];
+        const hideAfter = (this.config.hidePausedAfter || 0) * 60 * 1000;
+
+        const items = Object.values(this.items);
+        // Keep the groups of a household together, in the order the households were found
+        const households = [...new Set(items.map(item => item.group.householdId))];
+
+        return items.filter(item => {
+            if (!item.track || !showStates.includes(item.state)) return false;
+            // Idle groups still report an (empty) track, only keep them while something is loaded
+            if (item.state !== 'playing' && !item.track.title && !item.track.source) return false;
+            if (hideAfter > 0 && (item.state === 'paused' || item.state === 'stopped') &&
+                Date.now() - (item.stateChangedAt || 0) > hideAfter) {
+                return false;
+            }
+            return true;
+        }).sort((a, b) => households.indexOf(a.group.householdId) - households.indexOf(b.group.householdId));
+    },
+
+    syncPosition: function (item, position) {
+        item.position = typeof position === 'number' ? position : 0;
+        item.positionUpdatedAt = Date.now();
+    },
+
+    getElapsed: function (item) {
+        if (!item.track || typeof item.position !== 'number') return 0;
+
+        let elapsed = item.position;
+        if (item.state === 'playing' && item.positionUpdatedAt) {
+            elapsed += (Date.now() - item.positionUpdatedAt) / 1000;
+        }
+        return item.track.duration > 0 ? Math.min(elapsed, item.track.duration) : elapsed;
+    },
+
+    formatTime: function (seconds) {
+        seconds = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = (seconds % 60).toString().padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    },
+
+    createProgress: function (item, className) {
+        const progress = document.createElement('div');
+        progress.className = className;
+        progress.dataset.groupId = item.group.ID;
+        progress.innerHTML =
+            '<div class="progress-bar"><div class="progress-fill"></div></div>' +
+            '<div class="progress-times"><span class="progress-elapsed"></span><span class="progress-remaining"></span></div>';
+        this.renderProgress(progress, item);
+        return progress;
+    },
+
+    renderProgress: function (element, item) {
+        const duration = item && item.track ? item.track.duration : 0;
+        const elapsed = item ? this.getElapsed(item) : 0;
+
+        element.classList.toggle('hidden', !(duration > 0));
+        element.querySelector('.progress-fill').style.width = duration > 0 ? `${(elapsed / duration) * 100}%` : '0%';
+        element.querySelector('.progress-elapsed').textContent = this.formatTime(elapsed);
+        element.querySelector('.progress-remaining').textContent = `-${this.formatTime(duration - elapsed)}`;
+    },
+
+    updateProgress: function () {
+        document.querySelectorAll(`#${this.identifier} .progress[data-group-id]`).forEach(element => {
+            const item = this.items[element.dataset.groupId];
+            if (item) {
+                this.renderProgress(element, item);
+            }
+        });
+
+        const modalProgress = document.querySelector(`#sonos-modal-progress-${this.identifier}`);
+        if (modalProgress && this.isModalOpen && this.currentGroupId) {
+            this.renderProgress(modalProgress, this.items[this.currentGroupId]);
+        }
+
+        this.updateLyrics();
+        this.updateSleepTimer();
+    },
+
+    // Sleep timers count down locally between updates, like the position
+    getSleepTimerRemaining: function (item) {
+        if (typeof item.sleepTimer !== 'number') return null;
+        return Math.max(0, item.sleepTimer - (Date.now() - (item.sleepTimerUpdatedAt || Date.now())) / 1000);
+    },
+
+    updateSleepTimer: function () {
+        document.querySelectorAll(`#${this.identifier} .sleep-timer[data-group-id] > span`).forEach(element => {
+            const item = this.items[element.parentElement.dataset.groupId];
+            const remaining = item ? this.getSleepTimerRemaining(item) : null;
+            if (remaining !== null) {
+                element.textContent = this.formatTime(remaining);
+            }
+        });
+
+        const sleepTimer = document.querySelector(`#sonos-modal-sleep-${this.identifier}`);
+        const item = this.items[this.currentGroupId];
+        if (!sleepTimer || !this.isModalOpen || !item) return;
+
+        const remaining = this.getSleepTimerRemaining(item);
+        sleepTimer.querySelector('.sonos-modal-sleep-status').textContent =
+            remaining === null ? 'Sleep timer' : `Stops in ${this.formatTime(remaining)}`;
+        sleepTimer.querySelector('.sonos-modal-sleep-cancel').classList.toggle('hidden', remaining === null);
+    },
+
+    updateLyrics: function () {
+        document.querySelectorAll(`#${this.identifier} .lyrics-line[data-group-id]`).forEach(element => {
+            const item = this.items[element.dataset.groupId];
+            const line = item ? this.getLyricsLine(item) : '';
+            if (element.textContent !== line) {
+                element.textContent = line;
+            }
+        });
+
+        if (this.isModalOpen && this.currentPanel === 'lyrics') {
+            this.highlightLyrics();
+        }
+    },
+
+    getGroupName: function (group) {
+        return this.config.showFullGroupName
+            ? group.ZoneGroupMember.map(member => member.ZoneName).join(' + ')
+            : group.Name;
+    },
+
+    getAlbumArtUrl: function (track) {
+        if (!track) return null;
+        return (this.config.proxyAlbumArt && track.albumArtProxyURL) || track.albumArtURL || null;
+    },
+
     getIcon: function (iconId, classes) {
         return `<svg class="feather ${classes}"><use xlink:href="${this.file('node_modules/feather-icons/dist/feather-sprite.svg')}#${iconId}"/></svg>`;
     },
@@ -259,6 +1046,14 @@ Module.register('MMM-Sonos', {
         const modalContent = document.createElement('div');
         modalContent.className = 'sonos-modal-content';
 
+        // "Now playing" panel
+        const playingPanel = document.createElement('div');
+
+        // Album art
+        const albumArt = document.createElement('img');
+        albumArt.id = `sonos-modal-art-${id}`;
+        albumArt.className = 'sonos-modal-art hidden';
+
         // Track title
         const trackTitle = document.createElement('h3');
         trackTitle.id = `sonos-modal-track-${id}`;
@@ -287,6 +1082,18 @@ Module.register('MMM-Sonos', {
         detailsContainer.appendChild(albumRow);
         detailsContainer.appendChild(roomRow);
 
+        // Timeline, tap to seek
+        const progress = document.createElement('div');
+        progress.id = `sonos-modal-progress-${id}`;
+        progress.className = 'sonos-modal-progress hidden';
+        progress.innerHTML =
+            '<div class="progress-bar"><div class="progress-fill"></div></div>' +
+            '<div class="progress-times"><span class="progress-elapsed"></span><span class="progress-remaining"></span></div>';
+        progress.querySelector('.progress-bar').addEventListener('click', function(event) {
+            const rect = this.getBoundingClientRect();
+            self.seekTo((event.clientX - rect.left) / rect.width);
+        });
+
         // Controls container
         const controlsContainer = document.createElement('div');
         controlsContainer.className = 'sonos-modal-controls';
@@ -300,6 +1107,14 @@ Module.register('MMM-Sonos', {
             self.togglePlayPause();
         });
 
+        // Previous button
+        const previousBtn = document.createElement('button');
+        previousBtn.className = 'sonos-modal-btn sonos-modal-btn-control';
+        previousBtn.innerHTML = this.getIcon('skip-back', '');
+        previousBtn.addEventListener('click', function() {
+            self.skipToPrevious();
+        });
+
         // Next button
         const nextBtn = document.createElement('button');
         nextBtn.className = 'sonos-modal-btn sonos-modal-btn-control';
@@ -308,16 +1123,60 @@ Module.register('MMM-Sonos', {
             self.skipToNext();
         });
 
+        controlsContainer.appendChild(previousBtn);
         controlsContainer.appendChild(playPauseBtn);
         controlsContainer.appendChild(nextBtn);
 
+        // Secondary controls: shuffle, -30s, +30s, repeat
+        const secondaryControls = document.createElement('div');
+        secondaryControls.className = 'sonos-modal-controls sonos-modal-controls-secondary';
+
+        const shuffleBtn = document.createElement('button');
+        shuffleBtn.id = `sonos-modal-shuffle-${id}`;
+        shuffleBtn.className = 'sonos-modal-btn sonos-modal-btn-small';
+        shuffleBtn.innerHTML = this.getIcon('shuffle', '');
+        shuffleBtn.addEventListener('click', function() {
+            self.toggleShuffle();
+        });
+
+        const rewindBtn = document.createElement('button');
+        rewindBtn.className = 'sonos-modal-btn sonos-modal-btn-small';
+        rewindBtn.innerHTML = `${this.getIcon('rotate-ccw', '')}<span class="sonos-modal-btn-label">30</span>`;
+        rewindBtn.addEventListener('click', function() {
+            self.seekRelative(-30);
+        });
+
+        const forwardBtn = document.createElement('button');
+        forwardBtn.className = 'sonos-modal-btn sonos-modal-btn-small';
+        forwardBtn.innerHTML = `${this.getIcon('rotate-cw', '')}<span class="sonos-modal-btn-label">30</span>`;
+        forwardBtn.addEventListener('click', function() {
+            self.seekRelative(30);
+        });
+
+        const repeatBtn = document.createElement('button');
+        repeatBtn.id = `sonos-modal-repeat-${id}`;
+        repeatBtn.className = 'sonos-modal-btn sonos-modal-btn-small';
+        repeatBtn.innerHTML = this.getIcon('repeat', '');
+        repeatBtn.addEventListener('click', function() {
+            self.cycleRepeat();
+        });
+
+        secondaryControls.appendChild(shuffleBtn);
+        secondaryControls.appendChild(rewindBtn);
+        secondaryControls.appendChild(forwardBtn);
+        secondaryControls.appendChild(repeatBtn);
+
         // Volume container
         const volumeContainer = document.createElement('div');
         volumeContainer.className = 'sonos-modal-volume';
 
-        const volumeIcon = document.createElement('span');
+        const volumeIcon = document.createElement('button');
         volumeIcon.id = `sonos-modal-volume-icon-${id}`;
+        volumeIcon.className = 'sonos-modal-volume-icon';
         volumeIcon.innerHTML = this.getIcon('volume-2', '');
+        volumeIcon.addEventListener('click', function() {
+            self.toggleMute();
+        });
 
         const volumeSlider = document.createElement('input');
         volumeSlider.type = 'range';
@@ -339,11 +1198,106 @@ Module.register('MMM-Sonos', {
         volumeContainer.appendChild(volumeSlider);
         volumeContainer.appendChild(volumeValue);
 
+        // Per-room volumes, only shown for groups with several rooms
+        const membersToggle = document.createElement('button');
+        membersToggle.id = `sonos-modal-members-toggle-${id}`;
+        membersToggle.className = 'sonos-modal-members-toggle hidden';
+        membersToggle.innerHTML = `<span>Room volumes</span>${this.getIcon('chevron-down', '')}`;
+        membersToggle.addEventListener('click', function() {
+            self.toggleMemberVolumes();
+        });
+
+        const membersList = document.createElement('div');
+        membersList.id = `sonos-modal-members-${id}`;
+        membersList.className = 'sonos-modal-members hidden';
+
+        // Assemble "Now playing" panel
+        playingPanel.appendChild(albumArt);
+        playingPanel.appendChild(trackTitle);
+        playingPanel.appendChild(detailsContainer);
+        playingPanel.appendChild(progress);
+        playingPanel.appendChild(controlsContainer);
+        playingPanel.appendChild(secondaryControls);
+        playingPanel.appendChild(volumeContainer);
+        playingPanel.appendChild(membersToggle);
+        playingPanel.appendChild(membersList);
+
+        // Sleep timer: "stop in 15/30/60 min" and cancel
+        const sleepOptions = Array.isArray(this.config.sleepTimerOptions) ? this.config.sleepTimerOptions : [];
+        if (sleepOptions.length > 0) {
+            const sleepTimer = document.createElement('div');
+            sleepTimer.id = `sonos-modal-sleep-${id}`;
+            sleepTimer.className = 'sonos-modal-sleep';
+            sleepTimer.innerHTML = `${this.getIcon('moon', '')}<span class="sonos-modal-sleep-status">Sleep timer</span>`;
+
+            sleepOptions.forEach(minutes => {
+                const button = document.createElement('button');
+                button.className = 'sonos-modal-sleep-btn';
+                button.textContent = `${minutes} min`;
+                button.addEventListener('click', function() {
+                    self.setSleepTimer(minutes);
+                });
+                sleepTimer.appendChild(button);
+            });
+
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'sonos-modal-sleep-btn sonos-modal-sleep-cancel hidden';
+            cancelButton.textContent = 'Off';
+            cancelButton.addEventListener('click', function() {
+                self.setSleepTimer(0);
+            });
+            sleepTimer.appendChild(cancelButton);
+
+            playingPanel.appendChild(sleepTimer);
+        }
+
+        // Panels are switched with a tab bar when more than one is enabled
+        const panels = [
+            { name: 'playing', label: 'Now playing', element: playingPanel }
+        ];
+        if (this.config.showFavorites) {
+            panels.push({ name: 'favorites', label: 'Favorites', element: this.createFavoritesPanel() });
+        }
+        if (this.config.showQueue) {
+            panels.push({ name: 'queue', label: 'Queue', element: this.createQueuePanel() });
+        }
+        if (this.config.showLyrics) {
+            panels.push({ name: 'lyrics', label: 'Lyrics', element: this.createLyricsPanel() });
+        }
+        if (this.config.showHistory) {
+            panels.push({ name: 'history', label: 'Recent', element: this.createHistoryPanel() });
+        }
+        if (this.config.showStats) {
+            panels.push({ name: 'stats', label: 'Stats', element: this.createStatsPanel() });
+        }
+        if (this.config.showAlarms) {
+            panels.push({ name: 'alarms', label: 'Alarms', element: this.createAlarmsPanel() });
+        }
+        if (this.config.showRoomsPanel) {
+            panels.push({ name: 'rooms', label: 'Rooms', element: this.createRoomsPanel() });
+        }
+
+        const tabs = document.createElement('div');
+        tabs.className = 'sonos-modal-tabs';
+        panels.forEach(panel => {
+            const tab = document.createElement('button');
+            tab.className = 'sonos-modal-tab';
+            tab.dataset.panel = panel.name;
+            tab.textContent = panel.label;
+            tab.addEventListener('click', function() {
+                self.showModalPanel(panel.name);
+            });
+            tabs.appendChild(tab);
+
+            panel.element.classList.add('sonos-modal-panel');
+            panel.element.dataset.panel = panel.name;
+        });
+
         // Assemble modal content
-        modalContent.appendChild(trackTitle);
-        modalContent.appendChild(detailsContainer);
-        modalContent.appendChild(controlsContainer);
-        modalContent.appendChild(volumeContainer);
+        if (panels.length > 1) {
+            modalContent.appendChild(tabs);
+        }
+        panels.forEach(panel => modalContent.appendChild(panel.element));
 
         modal.appendChild(modalContent);
 
@@ -357,7 +1311,7 @@ Module.register('MMM-Sonos', {
         return modal;
     },
 
-    openSonosModal: function(groupId) {
+    openSonosModal: function(groupId, panel = 'playing') {
         const item = this.items[groupId];
         if (!item) return;
 
@@ -376,20 +1330,21 @@ Module.register('MMM-Sonos', {
 
         // Populate track info
         modal.querySelector(`#sonos-modal-track-${id}`).textContent =
-            item.track ? item.track.title : 'Unknown Track';
+            item.track ? this.getTrackTitle(item.track) : 'Unknown Track';
         modal.querySelector(`#sonos-modal-artist-${id}`).textContent =
             item.track ? (item.track.artist || 'Unknown Artist') : 'Unknown';
         modal.querySelector(`#sonos-modal-album-${id}`).textContent =
             item.track ? (item.track.album || 'Unknown Album') : 'Unknown';
+        this.updateModalAlbumArt(item.track);
 
         // Room name
-        const groupName = this.config.showFullGroupName
-            ? item.group.ZoneGroupMember.map(m => m.ZoneName).join(' + ')
-            : item.group.Name;
-        modal.querySelector(`#sonos-modal-room-${id}`).textContent = groupName;
+        modal.querySelector(`#sonos-modal-room-${id}`).textContent = this.getGroupName(item.group);
 
         // Update play/pause button icon
         this.updatePlayPauseIcon(item.state);
+        this.updatePlayModeButtons(item.playMode);
+        this.updateProgress();
+        this.updateSleepTimer();
 
         // Update volume slider
         const volumeSlider = modal.querySelector(`#sonos-modal-volume-slider-${id}`);
@@ -400,10 +1355,669 @@ Module.register('MMM-Sonos', {
         // Update volume icon based on mute state
         this.updateVolumeIcon(item.isMuted, item.volume);
 
+        // Room volumes start collapsed
+        const visibleMembers = item.group.ZoneGroupMember.filter(m => m.Invisible !== '1');
+        this.memberVolumesExpanded = false;
+        modal.querySelector(`#sonos-modal-members-toggle-${id}`).classList.toggle('hidden', !(this.config.showMemberVolumes && visibleMembers.length > 1));
+        modal.querySelector(`#sonos-modal-members-toggle-${id}`).classList.remove('expanded');
+        modal.querySelector(`#sonos-modal-members-${id}`).classList.add('hidden');
+        modal.querySelector(`#sonos-modal-members-${id}`).innerHTML = '';
+
+        this.showModalPanel(panel);
+
         // Show modal
         modal.classList.remove('hidden');
     },
 
+    showModalPanel: function(name) {
+        const modal = this.modalElement;
+        if (!modal) return;
+
+        this.currentPanel = name;
+        modal.querySelectorAll('.sonos-modal-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.panel === name);
+        });
+        modal.querySelectorAll('.sonos-modal-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.panel !== name);
+        });
+
+        if (name === 'rooms') {
+            this.renderRooms();
+        } else if (name === 'queue') {
+            this.queue = null;
+            this.renderQueue();
+            this.requestQueue(0);
+        } else if (name === 'favorites') {
+            this.renderFavorites();
+            // Favorites can change from the Sonos app, refresh each time the panel opens
+            this.sendSocketNotification('SONOS_GET_FAVORITES', { groupId: this.currentGroupId });
+        } else if (name === 'lyrics') {
+            this.requestLyrics(this.currentGroupId);
+            this.renderLyrics();
+        } else if (name === 'history') {
+            this.renderHistory();
+            this.sendSocketNotification('SONOS_GET_HISTORY', { limit: 50 });
+        } else if (name === 'stats') {
+            this.renderStats();
+            this.requestStats();
+        } else if (name === 'alarms') {
+            this.renderAlarms();
+            // Alarms can change from the Sonos app, refresh each time the panel opens
+            this.sendSocketNotification('SONOS_GET_ALARMS', {});
+        }
+    },
+
+    createHistoryPanel: function() {
+        const panel = document.createElement('div');
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-history-${this.identifier}`;
+        list.className = 'sonos-modal-list sonos-modal-list-scroll sonos-modal-history';
+
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderHistory: function() {
+        const list = document.querySelector(`#sonos-modal-history-${this.identifier}`);
+        if (!list) return;
+
+        if (!this.history) {
+            list.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+        if (this.history.length === 0) {
+            list.innerHTML = '<div class="sonos-modal-hint">Nothing played yet</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.history.forEach(entry => {
+            const startedAt = new Date(entry.startedAt);
+            const time = startedAt.toDateString() === new Date().toDateString()
+                ? startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : startedAt.toLocaleDateString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            const row = this.createListEntry({
+                title: entry.title,
+                albumArtURL: entry.albumArtURL,
+                albumArtProxyURL: entry.albumArtProxyURL,
+                description: [entry.artist || entry.station, entry.room].filter(Boolean).join(' ○ ')
+            }, {});
+
+            const detail = document.createElement('span');
+            detail.className = 'sonos-modal-list-detail';
+            detail.textContent = time;
+            row.appendChild(detail);
+            list.appendChild(row);
+        });
+    },
+
+    createStatsPanel: function() {
+        const self = this;
+        const panel = document.createElement('div');
+        this.statsPeriod = this.statsPeriods.hasOwnProperty(this.config.statsPeriod) ? this.config.statsPeriod : 'week';
+
+        const periods = document.createElement('div');
+        periods.className = 'sonos-modal-stats-periods';
+        Object.entries(this.statsPeriods).forEach(([period, label]) => {
+            const button = document.createElement('button');
+            button.className = 'sonos-modal-stats-period';
+            button.dataset.period = period;
+            button.textContent = label;
+            button.addEventListener('click', function() {
+                self.statsPeriod = period;
+                self.renderStats();
+            });
+            periods.appendChild(button);
+        });
+
+        const content = document.createElement('div');
+        content.id = `sonos-modal-stats-${this.identifier}`;
+        content.className = 'sonos-modal-list-scroll';
+
+        panel.appendChild(periods);
+        panel.appendChild(content);
+        return panel;
+    },
+
+    renderStats: function() {
+        const content = document.querySelector(`#sonos-modal-stats-${this.identifier}`);
+        if (!content) return;
+
+        content.parentNode.querySelectorAll('.sonos-modal-stats-period').forEach(button => {
+            button.classList.toggle('active', button.dataset.period === this.statsPeriod);
+        });
+
+        if (!this.stats) {
+            content.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+
+        content.innerHTML = '';
+        content.appendChild(this.createStatsElement(this.stats[this.statsPeriod], this.statsPeriod));
+    },
+
+    // Summary, top artists, top tracks and rooms of one period, shared by the panel and the region
+    createStatsElement: function(stats, period) {
+        const element = document.createElement('div');
+
+        const summary = document.createElement('div');
+        summary.className = 'sonos-stats-summary';
+        summary.textContent = stats.plays > 0
+            ? `${this.statsPeriods[period]}: ${this.formatListened(stats.listened)} ○ ${stats.plays} ${stats.plays === 1 ? 'track' : 'tracks'}`
+            : `${this.statsPeriods[period]}: nothing played yet`;
+        element.appendChild(summary);
+
+        const sections = [
+            ['Top artists', stats.artists.map(artist => [artist.name, `${artist.plays}×`])],
+            ['Top tracks', stats.tracks.map(track => [[track.title, track.artist].filter(Boolean).join(' - '), `${track.plays}×`])],
+            ['Rooms', stats.rooms.map(room => [room.room, this.formatListened(room.listened)])]
+        ];
+        sections.filter(([, rows]) => rows.length > 0).forEach(([title, rows]) => {
+            const section = document.createElement('div');
+            section.className = 'sonos-stats-section';
+
+            const heading = document.createElement('div');
+            heading.className = 'sonos-stats-heading';
+            heading.textContent = title;
+            section.appendChild(heading);
+
+            rows.forEach(([name, detail]) => {
+                const row = document.createElement('div');
+                row.className = 'sonos-stats-row';
+
+                const nameElement = document.createElement('span');
+                nameElement.className = 'sonos-stats-name';
+                nameElement.textContent = name;
+
+                const detailElement = document.createElement('span');
+                detailElement.className = 'sonos-stats-detail';
+                detailElement.textContent = detail;
+
+                row.append(nameElement, detailElement);
+                section.appendChild(row);
+            });
+            element.appendChild(section);
+        });
+
+        return element;
+    },
+
+    formatListened: function(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return minutes % 60 === 0
+            ? `${Math.floor(minutes / 60)} h`
+            : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    },
+
+    requestStats: function() {
+        this.sendSocketNotification('SONOS_GET_STATS', { count: this.config.statsCount });
+    },
+
+    // Statistics change slowly, the region refreshes them every 5 minutes
+    startStatsTimer: function() {
+        this.stopStatsTimer();
+        if (!this.config.statsInRegion) return;
+
+        this.requestStats();
+        this.statsTimer = setInterval(() => this.requestStats(), 5 * 60 * 1000);
+    },
+
+    stopStatsTimer: function() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+    },
+
+    createAlarmsPanel: function() {
+        const panel = document.createElement('div');
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-alarms-${this.identifier}`;
+        list.className = 'sonos-modal-list sonos-modal-list-scroll';
+
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderAlarms: function() {
+        const self = this;
+        const list = document.querySelector(`#sonos-modal-alarms-${this.identifier}`);
+        if (!list) return;
+
+        if (!this.alarms) {
+            list.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+        if (this.alarms.length === 0) {
+            list.innerHTML = '<div class="sonos-modal-hint">No alarms</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.alarms.forEach(alarm => {
+            const row = document.createElement('label');
+            row.className = 'sonos-modal-list-item sonos-modal-room';
+            row.classList.toggle('dimmed', !alarm.enabled);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = alarm.enabled;
+            checkbox.addEventListener('change', function() {
+                row.classList.add('pending');
+                checkbox.disabled = true;
+                self.setAlarmEnabled(alarm, checkbox.checked);
+            });
+
+            const title = document.createElement('span');
+            title.className = 'sonos-modal-list-title';
+            // Room and program names come from the speakers, they are set as text
+            const time = document.createElement('strong');
+            time.textContent = alarm.time;
+            const program = document.createElement('div');
+            program.className = 'sonos-modal-list-detail';
+            program.textContent = [this.formatRecurrence(alarm.recurrence), alarm.program].filter(Boolean).join(' ○ ');
+            title.append(time, `\u00a0${alarm.room}`, program);
+
+            const detail = document.createElement('span');
+            detail.className = 'sonos-modal-list-detail';
+            detail.textContent = isNaN(alarm.volume) ? '' : alarm.volume;
+
+            row.appendChild(checkbox);
+            row.appendChild(title);
+            row.appendChild(detail);
+            list.appendChild(row);
+        });
+    },
+
+    // ONCE, DAILY, WEEKDAYS, WEEKENDS or ON_<days> with 0 for Sunday
+    formatRecurrence: function(recurrence) {
+        const labels = { ONCE: 'Once', DAILY: 'Every day', WEEKDAYS: 'Weekdays', WEEKENDS: 'Weekends' };
+        if (labels[recurrence]) return labels[recurrence];
+        if (!/^ON_\d+$/.test(recurrence)) return recurrence;
+
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return recurrence.slice(3).split('').map(day => days[day]).filter(Boolean).join(', ');
+    },
+
+    setAlarmEnabled: function(alarm, enabled) {
+        // The list refreshes once the alarms are sent again (SET_SONOS_ALARMS)
+        this.sendSocketNotification('SONOS_SET_ALARM_ENABLED', {
+            id: alarm.id,
+            householdId: alarm.householdId,
+            enabled: enabled
+        });
+    },
+
+    setSleepTimer: function(minutes) {
+        if (!this.currentGroupId) return;
+        this.sendSocketNotification('SONOS_SET_SLEEP_TIMER', {
+            groupId: this.currentGroupId,
+            minutes: minutes
+        });
+    },
+
+    createLyricsPanel: function() {
+        const panel = document.createElement('div');
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-lyrics-${this.identifier}`;
+        list.className = 'sonos-modal-lyrics sonos-modal-list-scroll';
+
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderLyrics: function() {
+        const list = document.querySelector(`#sonos-modal-lyrics-${this.identifier}`);
+        if (!list) return;
+
+        const item = this.items[this.currentGroupId];
+        const lyrics = item ? this.getTrackLyrics(item) : null;
+        if (!item || !item.track || !item.track.title) {
+            list.innerHTML = '<div class="sonos-modal-hint">Nothing with lyrics is playing</div>';
+            return;
+        }
+        if (!lyrics || lyrics.loading) {
+            list.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+        if (!lyrics.lines) {
+            list.innerHTML = '<div class="sonos-modal-hint">No lyrics found for this track</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        list.scrollTop = 0;
+        lyrics.lines.forEach((line, index) => {
+            const row = document.createElement('div');
+            row.className = 'sonos-modal-lyrics-line';
+            row.dataset.index = index;
+            row.textContent = line.text || '♪';
+            list.appendChild(row);
+        });
+        this.highlightLyrics();
+    },
+
+    // Keeps the line being sung highlighted and centered in the panel
+    highlightLyrics: function() {
+        const list = document.querySelector(`#sonos-modal-lyrics-${this.identifier}`);
+        const item = this.items[this.currentGroupId];
+        const lyrics = item ? this.getTrackLyrics(item) : null;
+        if (!list || !lyrics || !lyrics.lines) return;
+
+        const index = this.getLyricsIndex(lyrics.lines, this.getElapsed(item));
+        const active = list.querySelector('.sonos-modal-lyrics-line.active');
+        if (active && parseInt(active.dataset.index, 10) === index) return;
+
+        if (active) {
+            active.classList.remove('active');
+        }
+        const line = list.querySelector(`[data-index="${index}"]`);
+        if (line) {
+            line.classList.add('active');
+            list.scrollTop = line.offsetTop - (list.clientHeight - line.offsetHeight) / 2;
+        }
+    },
+
+    // Asks the node_helper once per track, the answer is kept until the group plays something else
+    requestLyrics: function(groupId) {
+        const item = this.items[groupId];
+        const key = item && item.track ? this.getLyricsKey(item.track) : null;
+        const lyrics = this.lyricsByGroup[groupId];
+        if (!key || (lyrics && lyrics.key === key)) return;
+
+        this.lyricsByGroup[groupId] = { key, lines: null, loading: true };
+        this.sendSocketNotification('SONOS_GET_LYRICS', { groupId });
+    },
+
+    getLyricsKey: function(track) {
+        return track.title ? `${track.artist || ''}|${track.title}` : null;
+    },
+
+    // Lyrics of the track the group is playing, null while they are for another track
+    getTrackLyrics: function(item) {
+        const lyrics = this.lyricsByGroup[item.group.ID];
+        return lyrics && item.track && lyrics.key === this.getLyricsKey(item.track) ? lyrics : null;
+    },
+
+    // Index of the last line whose time has passed, -1 before the first line or for untimed lyrics
+    getLyricsIndex: function(lines, elapsed) {
+        let index = -1;
+        lines.forEach((line, i) => {
+            if (line.time !== null && line.time <= elapsed) {
+                index = i;
+            }
+        });
+        return index;
+    },
+
+    getLyricsLine: function(item) {
+        const lyrics = this.getTrackLyrics(item);
+        if (!lyrics || !lyrics.lines) return '';
+
+        const index = this.getLyricsIndex(lyrics.lines, this.getElapsed(item));
+        return index >= 0 ? lyrics.lines[index].text : '';
+    },
+
+    createQueuePanel: function() {
+        const self = this;
+        const panel = document.createElement('div');
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-queue-${this.identifier}`;
+        list.className = 'sonos-modal-list sonos-modal-list-scroll';
+        list.addEventListener('click', function(event) {
+            const entry = event.target.closest('[data-queue-position]');
+            if (entry) {
+                self.playQueueItem(parseInt(entry.dataset.queuePosition, 10));
+            }
+        });
+        // Load the next page when scrolled close to the end
+        list.addEventListener('scroll', function() {
+            if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+                self.loadMoreQueue();
+            }
+        });
+
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderQueue: function() {
+        const list = document.querySelector(`#sonos-modal-queue-${this.identifier}`);
+        if (!list) return;
+
+        if (!this.queue) {
+            list.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+        if (this.queue.items.length === 0) {
+            list.innerHTML = '<div class="sonos-modal-hint">The queue is empty</div>';
+            return;
+        }
+
+        const item = this.items[this.currentGroupId];
+        const currentPosition = item && item.track ? item.track.queuePosition : null;
+
+        const scrollTop = list.scrollTop;
+        list.innerHTML = '';
+        this.queue.items.forEach(entry => {
+            const row = this.createListEntry(entry, { 'queue-position': entry.position });
+            row.classList.toggle('active', entry.position === currentPosition);
+            list.appendChild(row);
+        });
+        list.scrollTop = scrollTop;
+    },
+
+    requestQueue: function(start) {
+        if (!this.currentGroupId) return;
+        this.queueLoading = true;
+        this.sendSocketNotification('SONOS_GET_QUEUE', {
+            groupId: this.currentGroupId,
+            start: start,
+            count: this.config.queuePageSize
+        });
+    },
+
+    loadMoreQueue: function() {
+        if (this.queueLoading || !this.queue || this.queue.items.length >= this.queue.total) return;
+        this.requestQueue(this.queue.items.length);
+    },
+
+    playQueueItem: function(position) {
+        if (!this.currentGroupId || isNaN(position)) return;
+        this.sendSocketNotification('SONOS_PLAY_QUEUE_ITEM', {
+            groupId: this.currentGroupId,
+            position: position
+        });
+    },
+
+    createFavoritesPanel: function() {
+        const self = this;
+        const id = this.identifier;
+        const panel = document.createElement('div');
+
+        // Target group, defaults to the group the modal was opened for
+        const target = document.createElement('div');
+        target.className = 'sonos-modal-row sonos-modal-target';
+        target.innerHTML = `<span class="sonos-modal-label">Play in:</span>`;
+        const select = document.createElement('select');
+        select.id = `sonos-modal-favorites-target-${id}`;
+        select.className = 'sonos-modal-select';
+        target.appendChild(select);
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-favorites-${id}`;
+        list.className = 'sonos-modal-list';
+        list.addEventListener('click', function(event) {
+            const entry = event.target.closest('[data-favorite-id]');
+            if (entry) {
+                self.playFavorite(entry.dataset.favoriteId, select.value);
+            }
+        });
+
+        panel.appendChild(target);
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderFavorites: function() {
+        const id = this.identifier;
+        const list = document.querySelector(`#sonos-modal-favorites-${id}`);
+        const select = document.querySelector(`#sonos-modal-favorites-target-${id}`);
+        if (!list || !select) return;
+
+        // Keep the target the user picked, unless that group is gone
+        const selected = this.items[select.value] ? select.value : this.currentGroupId;
+        select.innerHTML = '';
+        Object.values(this.items).forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.group.ID;
+            option.textContent = this.getGroupName(item.group);
+            select.appendChild(option);
+        });
+        select.value = selected;
+
+        list.innerHTML = '';
+        if (!this.favorites) {
+            list.innerHTML = '<div class="sonos-modal-hint">Loading...</div>';
+            return;
+        }
+
+        const sections = [
+            { title: 'Sonos Favorites', entries: this.favorites.favorites },
+            { title: 'Sonos Playlists', entries: this.favorites.playlists }
+        ];
+        sections.filter(section => section.entries.length > 0).forEach(section => {
+            const header = document.createElement('div');
+            header.className = 'sonos-modal-list-header';
+            header.textContent = section.title;
+            list.appendChild(header);
+
+            section.entries.forEach(entry => {
+                list.appendChild(this.createListEntry(entry, { 'favorite-id': entry.id }));
+            });
+        });
+
+        if (list.children.length === 0) {
+            list.innerHTML = '<div class="sonos-modal-hint">No favorites or playlists found</div>';
+        }
+    },
+
+    createListEntry: function(entry, data) {
+        const row = document.createElement('div');
+        row.className = 'sonos-modal-list-item';
+        Object.keys(data).forEach(key => {
+            row.dataset[key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = data[key];
+        });
+
+        const albumArtUrl = this.getAlbumArtUrl(entry);
+        if (albumArtUrl) {
+            const albumArt = document.createElement('img');
+            albumArt.className = 'sonos-modal-list-art';
+            albumArt.src = albumArtUrl;
+            albumArt.loading = 'lazy';
+            row.appendChild(albumArt);
+        } else {
+            const placeholder = document.createElement('span');
+            placeholder.className = 'sonos-modal-list-art';
+            placeholder.innerHTML = this.getIcon('music', '');
+            row.appendChild(placeholder);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'sonos-modal-list-title';
+        const title = document.createElement('div');
+        title.textContent = entry.title;
+        text.appendChild(title);
+        const detail = entry.artist || entry.description;
+        if (detail) {
+            const detailElement = document.createElement('div');
+            detailElement.className = 'sonos-modal-list-detail';
+            detailElement.textContent = detail;
+            text.appendChild(detailElement);
+        }
+        row.appendChild(text);
+
+        return row;
+    },
+
+    playFavorite: function(favoriteId, groupId) {
+        if (!groupId) return;
+        this.sendSocketNotification('SONOS_PLAY_FAVORITE', {
+            groupId: groupId,
+            id: favoriteId
+        });
+    },
+
+    createRoomsPanel: function() {
+        const panel = document.createElement('div');
+
+        const hint = document.createElement('div');
+        hint.className = 'sonos-modal-hint';
+        hint.textContent = 'Select the rooms playing with this group';
+
+        const list = document.createElement('div');
+        list.id = `sonos-modal-rooms-${this.identifier}`;
+        list.className = 'sonos-modal-list';
+
+        panel.appendChild(hint);
+        panel.appendChild(list);
+        return panel;
+    },
+
+    renderRooms: function() {
+        const self = this;
+        const list = document.querySelector(`#sonos-modal-rooms-${this.identifier}`);
+        const item = this.items[this.currentGroupId];
+        if (!list || !item) return;
+
+        list.innerHTML = '';
+        // Rooms of another household can't join this group
+        this.zones.filter(zone => zone.householdId === item.group.householdId).forEach(zone => {
+            const inGroup = zone.groupId === item.group.ID;
+            // The coordinator carries the group, it can't be removed from its own group
+            const isCoordinator = inGroup && zone.isCoordinator;
+
+            const row = document.createElement('label');
+            row.className = 'sonos-modal-list-item sonos-modal-room';
+            row.classList.toggle('disabled', isCoordinator);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = inGroup;
+            checkbox.disabled = isCoordinator;
+            checkbox.addEventListener('change', function() {
+                row.classList.add('pending');
+                checkbox.disabled = true;
+                self.setRoomInGroup(zone.name, checkbox.checked);
+            });
+
+            const name = document.createElement('span');
+            name.className = 'sonos-modal-list-title';
+            name.textContent = zone.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'sonos-modal-list-detail';
+            detail.textContent = inGroup ? '' : zone.groupName;
+
+            row.appendChild(checkbox);
+            row.appendChild(name);
+            row.appendChild(detail);
+            list.appendChild(row);
+        });
+    },
+
+    setRoomInGroup: function(room, join) {
+        if (!this.currentGroupId) return;
+        // The list refreshes once the zones change (SET_SONOS_ZONES)
+        this.sendSocketNotification(join ? 'SONOS_JOIN_GROUP' : 'SONOS_LEAVE_GROUP', {
+            groupId: this.currentGroupId,
+            room: room
+        });
+    },
+
     closeSonosModal: function() {
         const modal = this.modalElement;
         if (modal) {
@@ -422,6 +2036,40 @@ Module.register('MMM-Sonos', {
         }
     },
 
+    updatePlayModeButtons: function(playMode) {
+        const id = this.identifier;
+        const shuffleBtn = document.querySelector(`#sonos-modal-shuffle-${id}`);
+        const repeatBtn = document.querySelector(`#sonos-modal-repeat-${id}`);
+        const shuffle = playMode ? playMode.shuffle : false;
+        const repeat = playMode ? playMode.repeat : 'off';
+
+        if (shuffleBtn) {
+            shuffleBtn.classList.toggle('active', shuffle);
+        }
+        if (repeatBtn) {
+            repeatBtn.classList.toggle('active', repeat !== 'off');
+            repeatBtn.innerHTML = this.getIcon('repeat', '') +
+                (repeat === 'one' ? '<span class="sonos-modal-btn-label">1</span>' : '');
+        }
+    },
+
+    updateModalAlbumArt: function(track) {
+        const id = this.identifier;
+        const albumArt = document.querySelector(`#sonos-modal-art-${id}`);
+        if (!albumArt) return;
+
+        const albumArtUrl = this.config.showAlbumArt ? this.getAlbumArtUrl(track) : null;
+        if (albumArtUrl) {
+            if (albumArt.getAttribute('src') !== albumArtUrl) {
+                albumArt.src = albumArtUrl;
+            }
+            albumArt.classList.remove('hidden');
+        } else {
+            albumArt.removeAttribute('src');
+            albumArt.classList.add('hidden');
+        }
+    },
+
     updateVolumeIcon: function(isMuted, volume) {
         const id = this.identifier;
         const icon = document.querySelector(`#sonos-modal-volume-icon-${id}`);
@@ -445,6 +2093,78 @@ Module.register('MMM-Sonos', {
         });
     },
 
+    skipToPrevious: function() {
+        if (!this.currentGroupId) return;
+        this.sendSocketNotification('SONOS_PREVIOUS', {
+            groupId: this.currentGroupId
+        });
+    },
+
+    seekRelative: function(seconds) {
+        if (!this.currentGroupId) return;
+        this.sendSocketNotification('SONOS_SEEK_RELATIVE', {
+            groupId: this.currentGroupId,
+            seconds: seconds
+        });
+    },
+
+    toggleShuffle: function() {
+        if (!this.currentGroupId) return;
+        const item = this.items[this.currentGroupId];
+        const shuffle = !(item && item.playMode && item.playMode.shuffle);
+        this.sendSocketNotification('SONOS_SET_SHUFFLE', {
+            groupId: this.currentGroupId,
+            shuffle: shuffle
+        });
+    },
+
+    cycleRepeat: function() {
+        if (!this.currentGroupId) return;
+        const item = this.items[this.currentGroupId];
+        const modes = ['off', 'all', 'one'];
+        const current = item && item.playMode ? item.playMode.repeat : 'off';
+        this.sendSocketNotification('SONOS_SET_REPEAT', {
+            groupId: this.currentGroupId,
+            repeat: modes[(modes.indexOf(current) + 1) % modes.length]
+        });
+    },
+
+    seekTo: function(ratio) {
+        if (!this.currentGroupId) return;
+
+        const item = this.items[this.currentGroupId];
+        if (!item || !item.track || !(item.track.duration > 0)) return;
+
+        const position = Math.round(Math.max(0, Math.min(1, ratio)) * item.track.duration);
+
+        // Update UI immediately, the node_helper sends the real position once the seek is done
+        this.syncPosition(item, position);
+        this.updateProgress();
+
+        this.sendSocketNotification('SONOS_SEEK', {
+            groupId: this.currentGroupId,
+            position: position
+        });
+    },
+
+    toggleMute: function() {
+        if (!this.currentGroupId) return;
+
+        const item = this.items[this.currentGroupId];
+        if (!item) return;
+
+        // Update UI immediately, SET_SONOS_MUTE from the node_helper reconciles it
+        const isMuted = !item.isMuted;
+        item.isMuted = isMuted;
+        this.updateVolumeIcon(isMuted, item.volume);
+        this.updateDom();
+
+        this.sendSocketNotification('SONOS_SET_MUTE', {
+            groupId: this.currentGroupId,
+            isMuted: isMuted
+        });
+    },
+
     setVolume: function(volume) {
         if (!this.currentGroupId) return;
 
@@ -473,6 +2193,85 @@ Module.register('MMM-Sonos', {
         }, 200);
     },
 
+    toggleMemberVolumes: function() {
+        const id = this.identifier;
+        this.memberVolumesExpanded = !this.memberVolumesExpanded;
+
+        document.querySelector(`#sonos-modal-members-toggle-${id}`).classList.toggle('expanded', this.memberVolumesExpanded);
+        document.querySelector(`#sonos-modal-members-${id}`).classList.toggle('hidden', !this.memberVolumesExpanded);
+
+        if (this.memberVolumesExpanded) {
+            this.requestMemberVolumes();
+        }
+    },
+
+    requestMemberVolumes: function() {
+        if (!this.currentGroupId) return;
+        this.sendSocketNotification('SONOS_GET_MEMBER_VOLUMES', {
+            groupId: this.currentGroupId
+        });
+    },
+
+    renderMemberVolumes: function(members) {
+        const self = this;
+        const list = document.querySelector(`#sonos-modal-members-${this.identifier}`);
+        if (!list) return;
+
+        members.forEach(member => {
+            let row = list.querySelector(`[data-uuid="${member.uuid}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'sonos-modal-member';
+                row.dataset.uuid = member.uuid;
+                row.innerHTML =
+                    '<span class="sonos-modal-member-name"></span>' +
+                    '<input type="range" class="sonos-modal-slider" min="0" max="100">' +
+                    '<span class="sonos-modal-volume-text"></span>';
+                row.querySelector('input').addEventListener('input', function(e) {
+                    self.setMemberVolume(member.uuid, parseInt(e.target.value, 10));
+                });
+                list.appendChild(row);
+            }
+
+            row.querySelector('.sonos-modal-member-name').textContent = member.name;
+
+            // Don't fight the user while they drag
+            const slider = row.querySelector('input');
+            if (member.volume !== null && document.activeElement !== slider) {
+                slider.value = member.volume;
+                row.querySelector('.sonos-modal-volume-text').textContent = member.volume;
+            }
+        });
+
+        // Drop rooms that left the group
+        list.querySelectorAll('.sonos-modal-member').forEach(row => {
+            if (!members.some(member => member.uuid === row.dataset.uuid)) {
+                row.remove();
+            }
+        });
+    },
+
+    setMemberVolume: function(uuid, volume) {
+        if (!this.currentGroupId) return;
+
+        const row = document.querySelector(`#sonos-modal-members-${this.identifier} [data-uuid="${uuid}"]`);
+        if (row) {
+            row.querySelector('.sonos-modal-volume-text').textContent = volume;
+        }
+
+        // Debounce API call to prevent flooding Sonos device
+        const self = this;
+        const groupId = this.currentGroupId;
+        clearTimeout(this.memberVolumeDebounceTimers[uuid]);
+        this.memberVolumeDebounceTimers[uuid] = setTimeout(function() {
+            self.sendSocketNotification('SONOS_SET_MEMBER_VOLUME', {
+                groupId: groupId,
+                uuid: uuid,
+                volume: volume
+            });
+        }, 200);
+    },
+
     suspend: function() {
         // Close modal and remove from DOM when module is hidden
         if (this.modalElement && this.modalElement.parentNode === document.body) {
@@ -480,10 +2279,18 @@ Module.register('MMM-Sonos', {
         }
         this.modalElement = null;  // Clear reference to ensure proper recreation
         this.closeSonosModal();
+        // Nothing to interpolate while hidden
+        clearInterval(this.progressTimer);
+        this.progressTimer = null;
+        this.stopStatsTimer();
     },
 
     resume: function() {
         // Refresh the DOM when module is shown again (e.g., after MMM-Pages navigation)
         this.updateDom(this.config.animationSpeed);
+        this.startProgressTimer();
+        if (this.present && this.screenOn) {
+            this.startStatsTimer();
+        }
     }
 });
\ No newline at end of file
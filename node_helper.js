@@ -1,6 +1,10 @@
 const NodeHelper = require('node_helper');
 const Log = require('logger');
-const { AsyncDeviceDiscovery, Listener: listener } = require('sonos');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mqtt = require('mqtt');
+const { AsyncDeviceDiscovery, Listener: listener, Helpers, Services, Sonos } = require('sonos');
 
 // Utility function to wrap promises with timeout
 function withTimeout(promise, ms, errorMessage = 'Operation timed out') {
@@ -16,6 +20,14 @@ function withTimeout(promise, ms, errorMessage = 'Operation timed out') {
     });
 }
 
+// Keeps the most recently set entries of an object used as a cache, the oldest are dropped beyond the limit
+function setBounded(cache, key, value, limit) {
+    delete cache[key];
+    cache[key] = value;
+    const keys = Object.keys(cache);
+    keys.slice(0, Math.max(0, keys.length - limit)).forEach(oldKey => delete cache[oldKey]);
+}
+
 // Default timeout values (can be overridden via config)
 const DEFAULT_TIMEOUTS = {
     discovery: 10000,      // 10 seconds for discovery
@@ -24,16 +36,118 @@ const DEFAULT_TIMEOUTS = {
     getAllGroups: 10000    // 10 seconds for getting all groups
 };
 
+// Device events the module listens to, removed again on cleanup to prevent duplicate handlers
+const DEVICE_EVENTS = ['CurrentTrack', 'GroupRenderingControl', 'PlayState', 'AVTransport', 'QueueChanged', 'error'];
+
+// Sonos play modes mapped to the shuffle/repeat state shown in the modal
+const PLAY_MODES = {
+    NORMAL: { shuffle: false, repeat: 'off' },
+    REPEAT_ALL: { shuffle: false, repeat: 'all' },
+    REPEAT_ONE: { shuffle: false, repeat: 'one' },
+    SHUFFLE_NOREPEAT: { shuffle: true, repeat: 'off' },
+    SHUFFLE: { shuffle: true, repeat: 'all' },
+    SHUFFLE_REPEAT_ONE: { shuffle: true, repeat: 'one' }
+};
+
+// URIs that hold a list of tracks and have to be played through the queue, not as a single stream
+const CONTAINER_URI_PREFIXES = ['x-rincon-cpcontainer:', 'x-rincon-playlist:', 'file:///jffs/settings/savedqueues.rsq'];
+
+// Track URI prefixes and the source they play from, the first match wins. Anything else is a streaming service
+const SOURCE_TYPES = [
+    ['x-sonos-htastream:', 'tv'],
+    ['x-rincon-stream:', 'line-in'],
+    ['x-sonosapi-stream:', 'radio'],
+    ['x-sonosapi-radio:', 'radio'],
+    ['x-sonosapi-hls:', 'radio'],
+    ['x-rincon-mp3radio:', 'radio'],
+    ['aac:', 'radio'],
+    ['x-file-cifs:', 'library'],
+    ['file:', 'library']
+];
+
+// Radio stations whose name is remembered, by stream URI
+const STATION_NAMES_LIMIT = 100;
+
+// Item field kept up to date by each group notification, and where the payload has it
+const GROUP_NOTIFICATION_FIELDS = {
+    SET_SONOS_CURRENT_TRACK: ['track', 'track'],
+    SET_SONOS_VOLUME: ['volume', 'volume'],
+    SET_SONOS_MUTE: ['isMuted', 'isMuted'],
+    SET_SONOS_PLAY_STATE: ['state', 'state'],
+    SET_SONOS_PLAY_MODE: ['playMode', 'playMode'],
+    SET_SONOS_UP_NEXT: ['upNext', 'items'],
+    SET_SONOS_SLEEP_TIMER: ['sleepTimer', 'remaining']
+};
+
+// Polls drift by a few seconds, a sleep timer only counts as changed beyond that
+const SLEEP_TIMER_TOLERANCE = 5000;
+
+// Rules keep being checked this often while power saving stops polling
+const POWER_SAVE_RULES_INTERVAL = 60000;
+
+// Days of play history kept, the longest month of the statistics
+const HISTORY_DAYS = 31;
+
+// Listening statistics periods, tracks skipped before this many seconds add to the time listened but don't count as a play
+const STATS_PERIODS = ['today', 'week', 'month'];
+const STATS_MIN_PLAY_SECONDS = 30;
+
+// Commands of the HTTP API (POST /MMM-Sonos/rooms/:room/<action>) and the MQTT bridge (<baseTopic>/<room>/command/<action>)
+const COMMAND_ACTIONS = ['play', 'pause', 'toggle', 'next', 'previous', 'volume', 'mute'];
+
+const DEFAULT_MQTT = {
+    url: '',
+    username: '',
+    password: '',
+    baseTopic: 'sonos',
+    homeAssistant: false,
+    discoveryPrefix: 'homeassistant'
+};
+
+const DEFAULT_LYRICS = {
+    provider: 'folder',
+    folder: 'lyrics',
+    url: ''
+};
+
+// Tracks whose lyrics are kept in cache/lyrics
+const LYRICS_CACHE_SIZE = 500;
+
+// Lyrics providers by name, each method resolves the LRC text of a track or null when there is none
+const LYRICS_PROVIDERS = {
+    folder: 'readLocalLyrics',
+    http: 'fetchHttpLyrics'
+};
+
+// Content types accepted from the speakers' album art endpoints, mapped to cache file extensions
+const ALBUM_ART_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
 module.exports = NodeHelper.create({
 
     discovery: null,
-    asyncDevice: null,
+    // One { id, name, device } per Sonos household found, groups are tagged with their household
+    asyncHouseholds: null,
+    // The running discovery, another one is queued behind it at most
+    discoveryInProgress: null,
+    discoveryQueued: false,
     config: null,
+
+    // Frontend configurations by module identifier. The connection settings (timeouts, polling,
+    // hosts, ...) come from the first instance, display filters like rooms apply per instance
+    instances: {},
     debug: false,
     subscribedDevices: [],
     pollingIntervals: [],
     groupsById: {},
 
+    // Every group of the household, unfiltered, for the rooms panel
+    allGroups: [],
+
     // Groups reference for health checking
     groups: [],
 
@@ -52,6 +166,41 @@ module.exports = NodeHelper.create({
     // Prevent re-entrant rediscovery calls
     isRediscovering: false,
 
+    // Last favorites and playlists sent to the frontend, commands refer to them by ID
+    favorites: [],
+
+    // Album art cache key -> source URL, only keys in here (or already on disk) can be served
+    albumArtSources: {},
+
+    // Items as last sent to the frontend, by group ID, kept up to date by sendGroupNotification
+    itemsById: {},
+
+    // Radio station names by stream URI, only the media info has them and they don't change
+    stationNames: {},
+
+    // Lyrics lookups in progress by cache key, the modal and the ticker ask for the same track
+    lyricsRequests: {},
+
+    // Automation rules of all instances, and their state by rule index and group coordinator
+    rules: [],
+    ruleStates: {},
+
+    // Play history, oldest first, and the entry each coordinator is playing right now
+    history: [],
+    historyCurrent: {},
+    historySaveTimer: null,
+
+    // No polling while nobody is watching any instance, see handlePresence
+    powerSave: false,
+    powerSaveRulesTimer: null,
+    absenceTimers: {},
+
+    // MQTT bridge, only connected when a broker URL is configured
+    mqttClient: null,
+    mqttOptions: null,
+    mqttPublished: {},
+    mqttDiscovered: {},
+
     init: function () {
         this.discovery = new AsyncDeviceDiscovery();
 
@@ -63,12 +212,35 @@ module.exports = NodeHelper.create({
         });
     },
 
+    start: function () {
+        this.albumArtCacheDir = path.join(this.path, 'cache', 'albumart');
+        this.lyricsCacheDir = path.join(this.path, 'cache', 'lyrics');
+        this.historyFile = path.join(this.path, 'cache', 'history.json');
+        this.loadHistory();
+
+        // Proxy album art through the MagicMirror server, the browser can't always reach the speakers
+        this.expressApp.get(`/${this.name}/albumart/:key`, (req, res) => {
+            this.serveAlbumArt(req.params.key, res);
+        });
+
+        // HTTP API, the routes only answer once enabled with the httpApi option
+        this.expressApp.get(`/${this.name}/state`, (req, res) => this.serveApiRequest(req, res, 'state'));
+        this.expressApp.get(`/${this.name}/rooms/:room`, (req, res) => this.serveApiRequest(req, res, 'room'));
+        this.expressApp.post(`/${this.name}/rooms/:room/:action`, (req, res) => this.serveApiRequest(req, res, req.params.action));
+        this.expressApp.get(`/${this.name}/history`, (req, res) => this.serveApiRequest(req, res, 'history'));
+        this.expressApp.get(`/${this.name}/stats`, (req, res) => this.serveApiRequest(req, res, 'stats'));
+    },
+
     debugLog: function (message) {
         if (this.debug) {
             Log.log(`[MMM-Sonos] [DEBUG] ${message}`);
         }
     },
 
+    removeDeviceListeners: function(device) {
+        DEVICE_EVENTS.forEach(event => device.removeAllListeners(event));
+    },
+
     handleListenerError: function(error) {
         Log.error('[MMM-Sonos] Handling listener error, will rediscover...');
         this.triggerRediscovery();
@@ -95,20 +267,36 @@ module.exports = NodeHelper.create({
         this.pollingIntervals = [];
         this.pollingFailureCounts = {};
 
+        Object.values(this.absenceTimers).forEach(timer => clearTimeout(timer));
+        this.absenceTimers = {};
+        clearInterval(this.powerSaveRulesTimer);
+        this.powerSaveRulesTimer = null;
+
         // Clear group health state
         this.groupHealth = {};
         this.groups = [];
 
         // Remove event listeners from subscribed devices
         this.subscribedDevices.forEach(device => {
-            device.removeAllListeners('CurrentTrack');
-            device.removeAllListeners('Volume');
-            device.removeAllListeners('Muted');
-            device.removeAllListeners('PlayState');
-            device.removeAllListeners('error');
+            this.removeDeviceListeners(device);
         });
         this.subscribedDevices = [];
 
+        this.stopMqtt();
+
+        // Count what is playing right now and write the history before MagicMirror exits
+        Object.values(this.historyCurrent).forEach(current => this.countListened(current));
+        if (this.historySaveTimer) {
+            clearTimeout(this.historySaveTimer);
+            this.historySaveTimer = null;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+            fs.writeFileSync(this.historyFile, JSON.stringify(this.history));
+        } catch (error) {
+            Log.warn(`[MMM-Sonos] Failed to save the play history: ${error.message}`);
+        }
+
         // Stop global listener
         if (listener.isListening()) {
             listener.stopListener().then(() => {
@@ -120,20 +308,129 @@ module.exports = NodeHelper.create({
     },
 
     socketNotificationReceived: function (id, payload) {
+        // Commands address a group by room name, group ID or speaker UUID, see resolveGroup
+        const target = payload && (payload.target ?? payload.groupId);
+
         switch (id) {
             case 'SONOS_START':
-                this.config = payload;
-                this.debug = payload.debug || false;
-                this.discoverGroups();
+                this.instances[payload.identifier] = payload;
+                this.config = Object.values(this.instances)[0];
+                this.debug = Object.values(this.instances).some(instance => instance.debug);
+                this.rules = this.collectRules();
+                // A (re)started instance counts as watched until it reports otherwise
+                clearTimeout(this.absenceTimers[payload.identifier]);
+                delete this.absenceTimers[payload.identifier];
+                const wasPowerSaving = this.powerSave;
+                if (this.powerSave) {
+                    Log.log('[MMM-Sonos] Instance started, power saving ends');
+                    this.powerSave = false;
+                    clearInterval(this.powerSaveRulesTimer);
+                    this.powerSaveRulesTimer = null;
+                }
+                this.startMqtt();
+                // Polling starts again with a discovery after power saving. Otherwise a browser reload or another
+                // instance starting gets the groups already known, once a running discovery is done
+                if (wasPowerSaving) {
+                    this.discoverGroups();
+                } else if (this.discoveryInProgress) {
+                    this.discoveryInProgress.then(() => {
+                        if (!this.sendCachedGroups(payload.identifier)) {
+                            this.discoverGroups();
+                        }
+                    });
+                } else if (!this.sendCachedGroups(payload.identifier)) {
+                    this.discoverGroups();
+                }
+                break;
+            case 'SONOS_PRESENCE':
+                this.handlePresence(payload.identifier, payload.present, payload.screenOn);
                 break;
             case 'SONOS_TOGGLE_PLAY_PAUSE':
-                this.handleTogglePlayPause(payload.groupId);
+                this.sendCommandResult(id, payload, this.handleTogglePlayPause(target));
+                break;
+            case 'SONOS_PLAY':
+                this.sendCommandResult(id, payload, this.handlePlay(target));
+                break;
+            case 'SONOS_PAUSE':
+                this.sendCommandResult(id, payload, this.handlePause(target));
                 break;
             case 'SONOS_NEXT':
-                this.handleNext(payload.groupId);
+                this.sendCommandResult(id, payload, this.handleNext(target));
                 break;
             case 'SONOS_SET_VOLUME':
-                this.handleSetVolume(payload.groupId, payload.volume);
+                this.sendCommandResult(id, payload, this.handleSetVolume(target, payload.volume));
+                break;
+            case 'SONOS_ADJUST_VOLUME':
+                this.sendCommandResult(id, payload, this.handleAdjustVolume(target, payload.adjustment));
+                break;
+            case 'SONOS_SET_MUTE':
+                this.sendCommandResult(id, payload, this.handleSetMute(target, payload.isMuted));
+                break;
+            case 'SONOS_JOIN_GROUP':
+                this.sendCommandResult(id, payload, this.handleJoinGroup(target, payload.room));
+                break;
+            case 'SONOS_LEAVE_GROUP':
+                this.sendCommandResult(id, payload, this.handleLeaveGroup(payload.room));
+                break;
+            case 'SONOS_GET_FAVORITES':
+                this.handleGetFavorites(target, payload.identifier);
+                break;
+            case 'SONOS_PLAY_FAVORITE':
+                this.sendCommandResult(id, payload, this.handlePlayFavorite(target, payload.id));
+                break;
+            case 'SONOS_GET_QUEUE':
+                this.handleGetQueue(target, payload.start, payload.count, payload.identifier);
+                break;
+            case 'SONOS_PLAY_QUEUE_ITEM':
+                this.sendCommandResult(id, payload, this.handlePlayQueueItem(target, payload.position));
+                break;
+            case 'SONOS_GET_MEMBER_VOLUMES':
+                this.handleGetMemberVolumes(target, payload.identifier);
+                break;
+            case 'SONOS_GET_LYRICS':
+                this.handleGetLyrics(target, payload.identifier);
+                break;
+            case 'SONOS_SET_MEMBER_VOLUME':
+                this.sendCommandResult(id, payload, this.handleSetMemberVolume(target, payload.uuid, payload.volume));
+                break;
+            case 'SONOS_PREVIOUS':
+                this.sendCommandResult(id, payload, this.handlePrevious(target));
+                break;
+            case 'SONOS_SEEK':
+                this.sendCommandResult(id, payload, this.handleSeek(target, payload.position));
+                break;
+            case 'SONOS_SEEK_RELATIVE':
+                this.sendCommandResult(id, payload, this.handleSeekRelative(target, payload.seconds));
+                break;
+            case 'SONOS_SET_SHUFFLE':
+                this.sendCommandResult(id, payload, this.handleSetPlayMode(target, { shuffle: payload.shuffle }));
+                break;
+            case 'SONOS_SET_REPEAT':
+                this.sendCommandResult(id, payload, this.handleSetPlayMode(target, { repeat: payload.repeat }));
+                break;
+            case 'SONOS_SET_SLEEP_TIMER':
+                this.sendCommandResult(id, payload, this.handleSetSleepTimer(target, payload.minutes));
+                break;
+            case 'SONOS_GET_HISTORY':
+                this.sendSocketNotification('SET_SONOS_HISTORY', {
+                    identifier: payload.identifier,
+                    requestId: payload.requestId ?? null,
+                    // Other modules asking through the frontend get every room
+                    items: this.getHistory(payload.requestId ? null : this.instances[payload.identifier], payload.room, payload.limit)
+                });
+                break;
+            case 'SONOS_GET_STATS':
+                this.sendSocketNotification('SET_SONOS_STATS', {
+                    identifier: payload.identifier,
+                    requestId: payload.requestId ?? null,
+                    stats: this.getStats(payload.requestId ? null : this.instances[payload.identifier], payload.room, payload.count)
+                });
+                break;
+            case 'SONOS_GET_ALARMS':
+                this.handleGetAlarms(payload.identifier);
+                break;
+            case 'SONOS_SET_ALARM_ENABLED':
+                this.sendCommandResult(id, payload, this.handleSetAlarmEnabled(payload.id, payload.householdId, payload.enabled, payload.identifier));
                 break;
             default:
                 Log.log(`Notification with ID "${id}" unsupported. Ignoring...`);
@@ -141,37 +438,76 @@ module.exports = NodeHelper.create({
         }
     },
 
+    // The requestId lets the frontend route the result back to whoever sent the command
+    sendCommandResult: function(command, payload, pending) {
+        pending.then(result => {
+            this.sendSocketNotification('SONOS_COMMAND_RESULT', {
+                ...result,
+                identifier: payload.identifier,
+                command,
+                target: payload.target ?? payload.groupId ?? payload.room ?? null,
+                requestId: payload.requestId ?? null
+            });
+        });
+    },
+
+    // One discovery at a time. Instances starting together and bursts of ZonesChanged get one more discovery after it
     discoverGroups: function (attempts = 0) {
+        if (this.discoveryInProgress) {
+            this.discoveryQueued = true;
+            return this.discoveryInProgress;
+        }
+
+        this.discoveryInProgress = this.runDiscovery(attempts).finally(() => {
+            this.discoveryInProgress = null;
+            if (this.discoveryQueued) {
+                this.discoveryQueued = false;
+                this.discoverGroups();
+            }
+        });
+        return this.discoveryInProgress;
+    },
+
+    runDiscovery: function (attempts) {
         const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
 
-        if (!this.asyncDevice) {
-            this.asyncDevice = withTimeout(
-                this.discovery.discover(),
-                timeouts.discovery,
-                'Sonos device discovery timed out'
-            ).then(device => {
+        if (!this.asyncHouseholds) {
+            this.asyncHouseholds = this.findHouseholds().then(households => {
                 // Remove existing ZonesChanged listener to prevent accumulation on rediscovery
                 listener.removeAllListeners('ZonesChanged');
                 listener.on('ZonesChanged', () => {
                     Log.log(`[MMM-Sonos] Zones have changed. Rediscovering all groups ...`);
                     this.discoverGroups();
                 });
-                return withTimeout(
-                    listener.subscribeTo(device),
+                return Promise.all(households.map(household => withTimeout(
+                    listener.subscribeTo(household.device),
                     timeouts.subscribe,
-                    'Subscription to Sonos listener timed out'
-                ).then(() => device);
+                    `Subscription to Sonos listener timed out for household ${household.name}`
+                ))).then(() => households);
             });
         }
 
-        this.asyncDevice.then(device => {
-            return withTimeout(
-                device.getAllGroups(),
+        return this.asyncHouseholds.then(households => {
+            // Households are independent, one failing doesn't hide the others
+            return Promise.allSettled(households.map(household => withTimeout(
+                household.device.getAllGroups(),
                 timeouts.getAllGroups,
-                'getAllGroups timed out'
-            );
-        }).then(groups => {
-            this.setGroups(groups);
+                `getAllGroups timed out for household ${household.name}`
+            ).then(groups => groups.map(group => Object.assign(group, {
+                householdId: household.id,
+                householdName: household.name
+            })))));
+        }).then(results => {
+            const failures = results.filter(result => result.status === 'rejected');
+            failures.forEach(result => {
+                Log.error(`[MMM-Sonos] Failed to get groups: ${result.reason?.message || result.reason}`);
+            });
+            if (failures.length === results.length) {
+                throw failures[0].reason;
+            }
+            return this.setGroups(results
+                .filter(result => result.status === 'fulfilled')
+                .flatMap(result => result.value));
         }).catch(error => {
             attempts++;
             const timeout = Math.min(Math.pow(attempts, 2), 30);
@@ -183,53 +519,236 @@ module.exports = NodeHelper.create({
                     Log.error(`[MMM-Sonos] Failed to stop listeners to Sonos devices, connections might be dangling: ${error.message}`);
                 });
             }
-            this.asyncDevice = null;
+            this.asyncHouseholds = null;
             setTimeout(() => {
                 this.discoverGroups(attempts);
             }, timeout * 1000);
         });
     },
 
-    shouldIncludeGroup: function(group, rooms) {
-        if (!rooms || rooms.length === 0) return true;
+    // Static hosts come first, SSDP discovery (multicast) is only the fallback
+    findDevices: function() {
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const hosts = Array.isArray(this.config?.hosts) ? this.config.hosts : [];
+
+        return Promise.all(hosts.map(entry => {
+            const [host, port] = String(entry).split(':');
+            const device = new Sonos(host, parseInt(port, 10) || 1400);
+            return withTimeout(device.deviceDescription(), timeouts.apiCall, `Host ${entry} timed out`)
+                .then(() => {
+                    this.debugLog(`Connected to configured host ${entry}`);
+                    return device;
+                })
+                .catch(error => {
+                    Log.warn(`[MMM-Sonos] Configured host ${entry} is not reachable: ${error.message}`);
+                    return null;
+                });
+        })).then(devices => {
+            devices = devices.filter(device => device);
+            if (devices.length > 0) return devices;
+
+            if (hosts.length > 0) {
+                Log.warn('[MMM-Sonos] None of the configured hosts answered, falling back to discovery');
+            }
+            // Listen for a while to hear from every household, not just the first speaker
+            return withTimeout(
+                this.discovery.discoverMultiple({ timeout: Math.round(timeouts.discovery / 2) }),
+                timeouts.discovery,
+                'Sonos device discovery timed out'
+            );
+        });
+    },
+
+    // Keeps the first speaker answering for each household, in the order of findDevices
+    findHouseholds: function() {
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const names = this.config?.householdNames || {};
+
+        return this.findDevices().then(devices => Promise.allSettled(devices.map(device => withTimeout(
+            device.devicePropertiesService().GetHouseholdID(),
+            timeouts.apiCall,
+            `GetHouseholdID timed out for ${device.host}`
+        ))).then(results => {
+            const households = [];
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    Log.warn(`[MMM-Sonos] Failed to get the household of ${devices[index].host}: ${result.reason?.message || result.reason}`);
+                    return;
+                }
+                const id = result.value.CurrentHouseholdID;
+                if (households.some(household => household.id === id)) return;
+                households.push({ id, name: names[id] || id, device: devices[index] });
+            });
+
+            if (households.length === 0) {
+                throw new Error('No household found');
+            }
+            households.forEach(household => {
+                Log.log(`[MMM-Sonos] Found household "${household.name}" (${household.id}) through ${household.device.host}`);
+            });
+            return households;
+        }));
+    },
+
+    // Households can be filtered by ID or by the name given in householdNames
+    shouldIncludeHousehold: function(group, households) {
+        if (!households || households.length === 0) return true;
+
+        const normalized = households
+            .filter(h => typeof h === 'string')
+            .map(h => h.toLowerCase());
+        return normalized.includes(String(group.householdId).toLowerCase()) ||
+            normalized.includes(String(group.householdName).toLowerCase());
+    },
+
+    instanceIncludesGroup: function(instance, group) {
+        return this.shouldIncludeHousehold(group, instance.households) &&
+            this.shouldIncludeGroup(group, instance.rooms, instance.excludeRooms, instance.roomMatch);
+    },
 
+    // With roomMatch 'coordinator', only the room carrying the group decides, otherwise any member does
+    shouldIncludeGroup: function(group, rooms, excludeRooms, roomMatch = 'any') {
         const zoneNames = group.ZoneGroupMember
-            .filter(m => m.ZoneName)
-            .map(m => m.ZoneName.toLowerCase());
-        const normalizedRooms = rooms
-            .filter(r => typeof r === 'string')
-            .map(r => r.toLowerCase());
+            .filter(m => m.ZoneName && (roomMatch !== 'coordinator' || m.UUID === group.Coordinator))
+            .map(m => m.ZoneName);
+        const matches = patterns => zoneNames.some(zone => patterns.some(pattern => this.matchesRoom(zone, pattern)));
+
+        if (Array.isArray(rooms) && rooms.length > 0 && !matches(rooms)) return false;
+        return !(Array.isArray(excludeRooms) && excludeRooms.length > 0 && matches(excludeRooms));
+    },
+
+    // Patterns are room names (case-insensitive), globs with * and ?, or '/regex/flags' strings
+    matchesRoom: function(name, pattern) {
+        if (typeof pattern !== 'string') return false;
+
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            try {
+                return new RegExp(regex[1], regex[2]).test(name);
+            } catch (error) {
+                Log.warn(`[MMM-Sonos] Invalid room pattern ${pattern}: ${error.message}`);
+                return false;
+            }
+        }
+
+        if (/[*?]/.test(pattern)) {
+            const source = pattern
+                .split('')
+                .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+                .join('');
+            return new RegExp(`^${source}$`, 'i').test(name);
+        }
+
+        return name.toLowerCase() === pattern.toLowerCase();
+    },
+
+    decorateTrack: function(group, track) {
+        if (!track) return track;
+
+        // currentTrack() resolves albumArtURL itself, events only carry albumArtURI which can be relative
+        let albumArtURL = track.albumArtURL || track.albumArtURI || null;
+        if (albumArtURL && !/^https?:\/\//i.test(albumArtURL)) {
+            albumArtURL = `http://${group.host}:${group.port || 1400}${albumArtURL.startsWith('/') ? '' : '/'}${albumArtURL}`;
+        }
+        track.albumArtURL = albumArtURL;
+        track.albumArtProxyURL = null;
+
+        if (albumArtURL && Object.values(this.instances).some(instance => instance.proxyAlbumArt !== false)) {
+            const key = crypto.createHash('sha1').update(albumArtURL).digest('hex');
+            // Tracks still playing are set again and again, only those long gone are dropped
+            setBounded(this.albumArtSources, key, albumArtURL, this.config?.albumArtCacheSize ?? 200);
+            track.albumArtProxyURL = `/${this.name}/albumart/${key}`;
+        }
+
+        track.source = this.classifySource(track.uri);
+        // TV, line-in and buffering streams report their URI or a placeholder as title
+        if (track.title && (track.title === track.uri || /^(ZPSTR_|x-[\w-]+:)/.test(track.title))) {
+            track.title = null;
+        }
+        if (track.source === 'radio' && this.stationNames[track.uri]) {
+            track.station = this.stationNames[track.uri];
+        }
+
+        return track;
+    },
+
+    classifySource: function(uri) {
+        if (!uri) return null;
+
+        // Virtual line-in carries AirPlay, Spotify Connect and voice assistant streams
+        if (uri.startsWith('x-sonos-vli:')) {
+            if (/spotify/i.test(uri)) return 'spotify-connect';
+            if (/airplay/i.test(uri)) return 'airplay';
+            return 'streaming';
+        }
+
+        const match = SOURCE_TYPES.find(([prefix]) => uri.startsWith(prefix));
+        return match ? match[1] : 'streaming';
+    },
+
+    // Looks up the station of a radio track once, then sends the track again with it
+    refreshStation: function(group, track) {
+        if (!track || track.source !== 'radio' || track.station || this.stationNames.hasOwnProperty(track.uri)) return;
 
-        return zoneNames.some(zone => normalizedRooms.includes(zone));
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        // Mark as pending so concurrent notifications don't query again
+        setBounded(this.stationNames, track.uri, null, STATION_NAMES_LIMIT);
+
+        withTimeout(group.CoordinatorDevice().avTransportService().GetMediaInfo(), timeouts.apiCall, `GetMediaInfo timed out for ${group.Name}`)
+            .then(mediaInfo => mediaInfo.CurrentURIMetaData ? Helpers.ParseXml(mediaInfo.CurrentURIMetaData) : null)
+            .then(didl => {
+                const item = didl && didl['DIDL-Lite'] && didl['DIDL-Lite'].item;
+                const station = item && item['dc:title'];
+                if (!station || typeof station !== 'string') return;
+
+                setBounded(this.stationNames, track.uri, station, STATION_NAMES_LIMIT);
+                this.debugLog(`[${group.Name}] Radio station: ${station}`);
+                const current = this.itemsById[group.ID];
+                if (current && current.track && current.track.uri === track.uri) {
+                    this.sendGroupNotification('SET_SONOS_CURRENT_TRACK', { group, track: { ...current.track, station } });
+                }
+            })
+            .catch(error => {
+                delete this.stationNames[track.uri];
+                this.debugLog(`[${group.Name}] Failed to get the radio station: ${error.message}`);
+            });
     },
 
     setGroups(groups) {
+        this.allGroups = groups;
+        this.sendZones();
+
+        // Groups any of the instances displays, sendGroupNotification filters them per instance
         const filteredGroups = groups.filter(group =>
-            this.shouldIncludeGroup(group, this.config.rooms)
+            Object.values(this.instances).some(instance => this.instanceIncludesGroup(instance, group))
         );
 
         const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
         const apiTimeout = timeouts.apiCall;
 
         // Use Promise.allSettled for resilience - individual device failures won't break everything
-        Promise.all(filteredGroups.map(group => {
+        return Promise.all(filteredGroups.map(group => {
             const sonos = group.CoordinatorDevice();
             return Promise.allSettled([
                 withTimeout(sonos.currentTrack(), apiTimeout, `currentTrack timed out for ${group.Name}`),
                 withTimeout(sonos.getCurrentState(), apiTimeout, `getCurrentState timed out for ${group.Name}`),
-                withTimeout(sonos.getVolume(), apiTimeout, `getVolume timed out for ${group.Name}`),
-                withTimeout(sonos.getMuted(), apiTimeout, `getMuted timed out for ${group.Name}`)
+                withTimeout(this.getGroupVolume(group), apiTimeout, `getGroupVolume timed out for ${group.Name}`),
+                withTimeout(this.getGroupMuted(group), apiTimeout, `getGroupMuted timed out for ${group.Name}`),
+                withTimeout(sonos.getPlayMode(), apiTimeout, `getPlayMode timed out for ${group.Name}`),
+                withTimeout(this.getSleepTimer(group), apiTimeout, `getSleepTimer timed out for ${group.Name}`)
             ]).then(results => {
                 // Extract values, using defaults for failed promises
-                const track = results[0].status === 'fulfilled' ? results[0].value : null;
+                const track = results[0].status === 'fulfilled' ? this.decorateTrack(group, results[0].value) : null;
                 const state = results[1].status === 'fulfilled' ? results[1].value : 'unknown';
                 const volume = results[2].status === 'fulfilled' ? results[2].value : 0;
                 const isMuted = results[3].status === 'fulfilled' ? results[3].value : false;
+                const playMode = results[4].status === 'fulfilled' ? this.parsePlayMode(results[4].value) : null;
+                const sleepTimer = results[5].status === 'fulfilled' ? results[5].value : null;
 
                 // Log any failures
                 results.forEach((result, index) => {
                     if (result.status === 'rejected') {
-                        const methods = ['currentTrack', 'getCurrentState', 'getVolume', 'getMuted'];
+                        const methods = ['currentTrack', 'getCurrentState', 'getGroupVolume', 'getGroupMuted', 'getPlayMode', 'getSleepTimer'];
                         Log.error(`[MMM-Sonos] ${methods[index]} failed for "${group.Name}": ${result.reason?.message || result.reason}`);
                     }
                 });
@@ -240,6 +759,8 @@ module.exports = NodeHelper.create({
                     state,
                     volume,
                     isMuted,
+                    playMode,
+                    sleepTimer,
                 };
             });
         })).then(items => {
@@ -257,10 +778,11 @@ module.exports = NodeHelper.create({
                 return map;
             }, {});
 
-            this.sendSocketNotification('SET_SONOS_GROUPS', validItems.reduce((map, item) => {
+            this.sendGroupNotification('SET_SONOS_GROUPS', validItems.reduce((map, item) => {
                 map[item.group.ID] = item;
                 return map;
             }, {}));
+            validItems.forEach(item => this.refreshUpNext(item.group, item.track));
             return validItems;
         }).then(validGroups => {
             if (validGroups.length === 0) {
@@ -293,6 +815,12 @@ module.exports = NodeHelper.create({
         this.pollingIntervals = [];
         this.pollingFailureCounts = {};
 
+        // Polling starts again with the refresh when power saving ends
+        if (this.powerSave) {
+            this.debugLog('Power saving, not registering polling');
+            return;
+        }
+
         const maxFailures = this.config?.maxConsecutiveFailures || 3;
         const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
         const apiTimeout = timeouts.apiCall;
@@ -305,6 +833,8 @@ module.exports = NodeHelper.create({
             let lastVolume = null;
             let lastMute = null;
             let lastState = null;
+            let lastPlayMode = null;
+            let sleepTimerEndsAt = null;
 
             // Initialize failure counter for this group
             this.pollingFailureCounts[group.ID] = 0;
@@ -313,9 +843,11 @@ module.exports = NodeHelper.create({
                 // Poll all values in parallel with timeouts, handling each independently
                 Promise.allSettled([
                     withTimeout(sonos.currentTrack(), apiTimeout, 'currentTrack polling timed out'),
-                    withTimeout(sonos.getVolume(), apiTimeout, 'getVolume polling timed out'),
-                    withTimeout(sonos.getMuted(), apiTimeout, 'getMuted polling timed out'),
-                    withTimeout(sonos.getCurrentState(), apiTimeout, 'getCurrentState polling timed out')
+                    withTimeout(this.getGroupVolume(group), apiTimeout, 'getGroupVolume polling timed out'),
+                    withTimeout(this.getGroupMuted(group), apiTimeout, 'getGroupMuted polling timed out'),
+                    withTimeout(sonos.getCurrentState(), apiTimeout, 'getCurrentState polling timed out'),
+                    withTimeout(sonos.getPlayMode(), apiTimeout, 'getPlayMode polling timed out'),
+                    withTimeout(this.getSleepTimer(group), apiTimeout, 'getSleepTimer polling timed out')
                 ]).then(results => {
                     // Count how many failed
                     const failedCount = results.filter(r => r.status === 'rejected').length;
@@ -337,20 +869,17 @@ module.exports = NodeHelper.create({
 
                     // Handle track changes
                     if (results[0].status === 'fulfilled') {
-                        const track = results[0].value;
-                        if (
-                            !lastTrack ||
-                            lastTrack.title !== track.title ||
-                            lastTrack.artist !== track.artist ||
-                            lastTrack.album !== track.album ||
-                            lastTrack.duration !== track.duration
-                        ) {
+                        const track = this.decorateTrack(group, results[0].value);
+                        if (!this.isSameTrack(lastTrack, track)) {
                             Log.log(`[MMM-Sonos] [Group ${group.Name} - ${group.host}] Track changed to "${track.title}" by "${track.artist}"`);
                             lastTrack = track;
-                            this.sendSocketNotification('SET_SONOS_CURRENT_TRACK', {
+                            this.sendGroupNotification('SET_SONOS_CURRENT_TRACK', {
                                 group,
                                 track
                             });
+                            this.refreshUpNext(group, track);
+                        } else {
+                            this.sendPosition(group, track);
                         }
                     } else {
                         Log.error(`[MMM-Sonos] Failed to get current track for "${group.Name}": ${results[0].reason?.message || results[0].reason}`);
@@ -362,7 +891,7 @@ module.exports = NodeHelper.create({
                         if (lastVolume !== volume) {
                             this.debugLog(`[Group ${group.Name} - ${group.host}] Volume changed to "${volume}"`);
                             lastVolume = volume;
-                            this.sendSocketNotification('SET_SONOS_VOLUME', {
+                            this.sendGroupNotification('SET_SONOS_VOLUME', {
                                 group,
                                 volume
                             });
@@ -378,7 +907,7 @@ module.exports = NodeHelper.create({
                         if (lastMute !== currentIsMuted) {
                             this.debugLog(`[Group ${group.Name} - ${group.host}] Group is ${currentIsMuted}`);
                             lastMute = currentIsMuted;
-                            this.sendSocketNotification('SET_SONOS_MUTE', {
+                            this.sendGroupNotification('SET_SONOS_MUTE', {
                                 group,
                                 isMuted
                             });
@@ -393,7 +922,7 @@ module.exports = NodeHelper.create({
                         if (lastState !== state) {
                             Log.log(`[MMM-Sonos] [Group ${group.Name} - ${group.host}] Play state change to "${state}"`);
                             lastState = state;
-                            this.sendSocketNotification('SET_SONOS_PLAY_STATE', {
+                            this.sendGroupNotification('SET_SONOS_PLAY_STATE', {
                                 group,
                                 state
                             });
@@ -401,6 +930,24 @@ module.exports = NodeHelper.create({
                     } else {
                         Log.error(`[MMM-Sonos] Failed to get play state for "${group.Name}": ${results[3].reason?.message || results[3].reason}`);
                     }
+
+                    // Handle play mode changes
+                    if (results[4].status === 'fulfilled') {
+                        if (lastPlayMode !== results[4].value) {
+                            this.debugLog(`[Group ${group.Name} - ${group.host}] Play mode changed to "${results[4].value}"`);
+                            lastPlayMode = results[4].value;
+                            this.sendPlayMode(group, results[4].value);
+                        }
+                    } else {
+                        Log.error(`[MMM-Sonos] Failed to get play mode for "${group.Name}": ${results[4].reason?.message || results[4].reason}`);
+                    }
+
+                    // Handle sleep timer changes
+                    if (results[5].status === 'fulfilled') {
+                        sleepTimerEndsAt = this.sendSleepTimer(group, results[5].value, sleepTimerEndsAt);
+                    } else {
+                        Log.error(`[MMM-Sonos] Failed to get sleep timer for "${group.Name}": ${results[5].reason?.message || results[5].reason}`);
+                    }
                 });
             }, pollingTimeout);
 
@@ -424,7 +971,7 @@ module.exports = NodeHelper.create({
         this.pollingFailureCounts = {};
 
         // Clean up and rediscover
-        this.asyncDevice = null;
+        this.asyncHouseholds = null;
         if (listener.isListening()) {
             listener.stopListener().catch(e => {
                 Log.error(`[MMM-Sonos] Failed to stop listener: ${e.message}`);
@@ -441,11 +988,7 @@ module.exports = NodeHelper.create({
     setListeners: function (groups) {
         // Clean up existing listeners before adding new ones
         this.subscribedDevices.forEach(device => {
-            device.removeAllListeners('CurrentTrack');
-            device.removeAllListeners('Volume');
-            device.removeAllListeners('Muted');
-            device.removeAllListeners('PlayState');
-            device.removeAllListeners('error');
+            this.removeDeviceListeners(device);
         });
         this.subscribedDevices = [];
 
@@ -467,34 +1010,67 @@ module.exports = NodeHelper.create({
 
                     sonos.on('CurrentTrack', track => {
                         Log.log(`[MMM-Sonos] [Group ${group.Name} - ${group.host}] Track changed to "${track.title}" by "${track.artist}"`);
-                        this.sendSocketNotification('SET_SONOS_CURRENT_TRACK', {
+                        this.decorateTrack(group, track);
+                        this.sendGroupNotification('SET_SONOS_CURRENT_TRACK', {
                             group,
                             track
                         });
+                        // Track events don't carry the playback position
+                        this.refreshPosition(group, sonos);
+                        this.refreshUpNext(group, track);
                     });
 
-                    sonos.on('Volume', volume => {
-                        this.debugLog(`[Group ${group.Name} - ${group.host}] Volume changed to "${volume}"`);
-                        this.sendSocketNotification('SET_SONOS_VOLUME', {
-                            group,
-                            volume
-                        });
+                    // Adding or removing tracks changes what plays next without a track change
+                    sonos.on('QueueChanged', () => {
+                        this.debugLog(`[Group ${group.Name} - ${group.host}] Queue changed`);
+                        const item = this.itemsById[group.ID];
+                        if (item && item.track) {
+                            this.refreshUpNext(group, item.track);
+                        }
                     });
 
-                    sonos.on('Muted', isMuted => {
-                        this.debugLog(`[Group ${group.Name} - ${group.host}] Group is ${isMuted ? 'muted' : 'unmuted'}`);
-                        this.sendSocketNotification('SET_SONOS_MUTE', {
-                            group,
-                            isMuted
-                        });
+                    // Group rendering events cover every speaker in the group, unlike the coordinator's Volume/Muted events
+                    let lastVolume = null;
+                    let lastMuted = null;
+                    sonos.on('GroupRenderingControl', body => {
+                        const { volume, isMuted } = this.parseGroupRenderingEvent(body);
+
+                        if (volume !== null && volume !== lastVolume) {
+                            this.debugLog(`[Group ${group.Name} - ${group.host}] Volume changed to "${volume}"`);
+                            lastVolume = volume;
+                            this.sendGroupNotification('SET_SONOS_VOLUME', {
+                                group,
+                                volume
+                            });
+                        }
+
+                        if (isMuted !== null && isMuted !== lastMuted) {
+                            this.debugLog(`[Group ${group.Name} - ${group.host}] Group is ${isMuted ? 'muted' : 'unmuted'}`);
+                            lastMuted = isMuted;
+                            this.sendGroupNotification('SET_SONOS_MUTE', {
+                                group,
+                                isMuted
+                            });
+                        }
                     });
 
                     sonos.on('PlayState', state => {
                         Log.log(`[MMM-Sonos] [Group ${group.Name} - ${group.host}] Play state change to "${state}"`);
-                        this.sendSocketNotification('SET_SONOS_PLAY_STATE', {
+                        this.sendGroupNotification('SET_SONOS_PLAY_STATE', {
                             group,
                             state
                         });
+                        this.refreshPosition(group, sonos);
+                    });
+
+                    // Every transport event carries the play mode, only changes are sent
+                    let lastPlayMode = null;
+                    sonos.on('AVTransport', data => {
+                        if (data.CurrentPlayMode && data.CurrentPlayMode !== lastPlayMode) {
+                            this.debugLog(`[Group ${group.Name} - ${group.host}] Play mode is "${data.CurrentPlayMode}"`);
+                            lastPlayMode = data.CurrentPlayMode;
+                            this.sendPlayMode(group, data.CurrentPlayMode);
+                        }
                     });
                 })
                 .catch(err => {
@@ -597,11 +1173,7 @@ module.exports = NodeHelper.create({
         const groupId = group.ID;
 
         // Remove any existing listeners to prevent duplicates when re-attaching
-        device.removeAllListeners('CurrentTrack');
-        device.removeAllListeners('Volume');
-        device.removeAllListeners('Muted');
-        device.removeAllListeners('PlayState');
-        device.removeAllListeners('error');
+        this.removeDeviceListeners(device);
 
         // Ensure device is in subscribedDevices list
         if (!this.subscribedDevices.includes(device)) {
@@ -614,96 +1186,433 @@ module.exports = NodeHelper.create({
 
         device.on('CurrentTrack', track => {
             Log.log(`[MMM-Sonos] [${group.Name}] Track: "${track.title}"`);
+            this.decorateTrack(group, track);
             // Sync with groupHealth to prevent duplicate notifications from polling
             const health = this.groupHealth[groupId];
             if (health) health.lastTrack = track;
-            this.sendSocketNotification('SET_SONOS_CURRENT_TRACK', { group, track });
+            this.sendGroupNotification('SET_SONOS_CURRENT_TRACK', { group, track });
+            // Track events don't carry the playback position
+            this.refreshPosition(group, device);
+            this.refreshUpNext(group, track);
         });
 
-        device.on('Volume', volume => {
-            this.debugLog(`[${group.Name}] Volume: ${volume}`);
-            // Sync with groupHealth to prevent duplicate notifications from polling
+        device.on('QueueChanged', () => {
+            this.debugLog(`[${group.Name}] Queue changed`);
             const health = this.groupHealth[groupId];
-            if (health) health.lastVolume = volume;
-            this.sendSocketNotification('SET_SONOS_VOLUME', { group, volume });
+            if (health && health.lastTrack) {
+                this.refreshUpNext(group, health.lastTrack);
+            }
         });
 
-        device.on('Muted', isMuted => {
-            this.debugLog(`[${group.Name}] Muted: ${isMuted}`);
+        device.on('GroupRenderingControl', body => {
+            const { volume, isMuted } = this.parseGroupRenderingEvent(body);
             // Sync with groupHealth to prevent duplicate notifications from polling
             const health = this.groupHealth[groupId];
-            if (health) health.lastMuted = isMuted;
-            this.sendSocketNotification('SET_SONOS_MUTE', { group, isMuted });
+
+            if (volume !== null && (!health || health.lastVolume !== volume)) {
+                this.debugLog(`[${group.Name}] Volume: ${volume}`);
+                if (health) health.lastVolume = volume;
+                this.sendGroupNotification('SET_SONOS_VOLUME', { group, volume });
+            }
+
+            if (isMuted !== null && (!health || health.lastMuted !== isMuted)) {
+                this.debugLog(`[${group.Name}] Muted: ${isMuted}`);
+                if (health) health.lastMuted = isMuted;
+                this.sendGroupNotification('SET_SONOS_MUTE', { group, isMuted });
+            }
+
+            this.checkRules(group);
         });
 
         device.on('PlayState', state => {
             Log.log(`[MMM-Sonos] [${group.Name}] State: ${state}`);
             const health = this.groupHealth[groupId];
             if (health) health.playState = state;
-            this.sendSocketNotification('SET_SONOS_PLAY_STATE', { group, state });
+            this.sendGroupNotification('SET_SONOS_PLAY_STATE', { group, state });
+            this.refreshPosition(group, device);
+            this.checkRules(group);
         });
-    },
 
-    // Adaptive polling methods
-    isAnyGroupPlaying: function() {
-        return Object.values(this.groupHealth).some(
-            h => h.playState === 'playing'
-        );
+        device.on('AVTransport', data => {
+            // Every transport event repeats the play mode, only forward actual changes
+            if (!data.CurrentPlayMode) return;
+            const health = this.groupHealth[groupId];
+            if (health && health.lastPlayMode === data.CurrentPlayMode) return;
+            this.debugLog(`[${group.Name}] Play mode: ${data.CurrentPlayMode}`);
+            if (health) health.lastPlayMode = data.CurrentPlayMode;
+            this.sendPlayMode(group, data.CurrentPlayMode);
+        });
     },
 
-    getPollingInterval: function() {
-        const playingInterval = this.config?.pollingIntervalPlaying || 15000;
-        const idleInterval = this.config?.pollingIntervalIdle || 60000;
-        return this.isAnyGroupPlaying() ? playingInterval : idleInterval;
+    // Every group notification goes through here so the HTTP API sees what the frontend displays,
+    // and each instance only gets the groups it displays
+    sendGroupNotification: function(id, payload) {
+        if (id === 'SET_SONOS_GROUPS') {
+            this.itemsById = { ...payload };
+        } else if (this.itemsById.hasOwnProperty(payload.group.ID)) {
+            const item = { ...this.itemsById[payload.group.ID], group: payload.group };
+            if (id === 'SET_SONOS_POSITION') {
+                if (item.track) {
+                    item.track = { ...item.track, position: payload.position, duration: payload.duration || item.track.duration };
+                }
+            } else if (GROUP_NOTIFICATION_FIELDS[id]) {
+                const [field, key] = GROUP_NOTIFICATION_FIELDS[id];
+                item[field] = payload[key];
+            }
+            this.itemsById[payload.group.ID] = item;
+        }
+
+        Object.entries(this.instances).forEach(([identifier, instance]) => {
+            if (id === 'SET_SONOS_GROUPS') {
+                const items = Object.values(payload)
+                    .filter(item => this.instanceIncludesGroup(instance, item.group))
+                    .reduce((map, item) => {
+                        map[item.group.ID] = item;
+                        return map;
+                    }, {});
+                this.sendSocketNotification(id, { identifier, items });
+            } else if (this.instanceIncludesGroup(instance, payload.group)) {
+                this.sendSocketNotification(id, { ...payload, identifier });
+            }
+        });
+
+        if (id === 'SET_SONOS_GROUPS') {
+            Object.values(this.itemsById).forEach(item => {
+                this.publishMqttState(item);
+                this.refreshStation(item.group, item.track);
+                this.recordHistory(item);
+            });
+        } else if (this.itemsById.hasOwnProperty(payload.group.ID)) {
+            this.publishMqttState(this.itemsById[payload.group.ID]);
+            if (id === 'SET_SONOS_CURRENT_TRACK') {
+                this.refreshStation(payload.group, payload.track);
+            }
+            if (id === 'SET_SONOS_CURRENT_TRACK' || id === 'SET_SONOS_PLAY_STATE') {
+                this.recordHistory(this.itemsById[payload.group.ID]);
+            }
+        }
     },
 
-    schedulePoll: function() {
-        // Clear any existing timeout
-        if (this.pollTimeout) {
-            clearTimeout(this.pollTimeout);
+    // Sends what is known to a (re)started instance, false when groups it displays still have to be fetched
+    sendCachedGroups: function(identifier) {
+        const instance = this.instances[identifier];
+        const groups = this.allGroups.filter(group => this.instanceIncludesGroup(instance, group));
+        if (groups.length === 0 || groups.some(group => !this.itemsById.hasOwnProperty(group.ID))) {
+            return false;
         }
 
-        const interval = this.getPollingInterval();
-        this.debugLog(`Scheduling poll in ${interval}ms`);
+        this.debugLog(`Sending ${groups.length} known groups to instance ${identifier}`);
+        this.sendZones();
+        this.sendSocketNotification('SET_SONOS_GROUPS', {
+            identifier,
+            items: groups.reduce((map, group) => {
+                map[group.ID] = this.itemsById[group.ID];
+                return map;
+            }, {})
+        });
+        return true;
+    },
 
-        this.pollTimeout = setTimeout(() => {
-            this.debugLog('Poll timer fired, starting poll cycle');
-            this.pollAllGroups().finally(() => {
-                // Only reschedule if polling hasn't been stopped (e.g., by rediscovery)
-                if (this.pollTimeout !== null) {
-                    this.schedulePoll();
-                } else {
-                    this.debugLog('Poll chain stopped (pollTimeout is null)');
-                }
+    sendPosition: function(group, track) {
+        if (typeof track?.position !== 'number') return;
+        this.sendGroupNotification('SET_SONOS_POSITION', {
+            group,
+            position: track.position,
+            duration: track.duration
+        });
+    },
+
+    refreshPosition: function(group, device) {
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+
+        withTimeout(device.currentTrack(), timeouts.apiCall, `currentTrack timed out for ${group.Name}`)
+            .then(track => {
+                this.sendPosition(group, track);
+            })
+            .catch(error => {
+                this.debugLog(`[${group.Name}] Failed to refresh position: ${error.message}`);
             });
-        }, interval);
     },
 
-    pollAllGroups: function() {
-        this.debugLog(`Polling ${this.groups.length} groups`);
-        const promises = this.groups.map(group => this.pollGroup(group));
-        return Promise.allSettled(promises);
+    // Remaining seconds of the sleep timer, null when none is set
+    getSleepTimer: function(group) {
+        return group.CoordinatorDevice().avTransportService().GetRemainingSleepTimerDuration()
+            .then(result => result.RemainingSleepTimerDuration ? Helpers.TimeToSeconds(result.RemainingSleepTimerDuration) : null);
     },
 
-    pollGroup: function(group) {
-        const device = group.CoordinatorDevice();
-        const health = this.groupHealth[group.ID];
+    // The remaining time counts down between polls, only send it when the timer is set, cancelled or moved.
+    // Returns when the timer ends as last sent, to pass back in on the next poll
+    sendSleepTimer: function(group, remaining, endsAt) {
+        const newEndsAt = remaining === null ? null : Date.now() + remaining * 1000;
+        const changed = newEndsAt === null || endsAt === null
+            ? newEndsAt !== endsAt
+            : Math.abs(newEndsAt - endsAt) > SLEEP_TIMER_TOLERANCE;
+        if (!changed) return endsAt;
+
+        this.debugLog(`[${group.Name}] Sleep timer: ${remaining === null ? 'off' : `${remaining}s left`}`);
+        this.sendGroupNotification('SET_SONOS_SLEEP_TIMER', { group, remaining });
+        return newEndsAt;
+    },
 
-        // Guard: skip if group health not initialized (shouldn't happen, but defensive)
-        if (!health) {
-            this.debugLog(`No health state for group "${group.Name}", skipping poll`);
-            return Promise.resolve();
-        }
+    // Group volume and mute apply to every speaker in the group, GroupRenderingControl lives on the coordinator
+    groupRenderingControl: function(group) {
+        return new Services.GroupRenderingControl(group.host, group.port);
+    },
 
-        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
-        const apiTimeout = timeouts.apiCall;
-        const maxFailures = this.config?.maxConsecutiveFailures || 3;
+    getGroupVolume: function(group) {
+        return this.groupRenderingControl(group).GetGroupVolume();
+    },
+
+    getGroupMuted: function(group) {
+        return this.groupRenderingControl(group).GetGroupMute();
+    },
+
+    parseGroupRenderingEvent: function(body) {
+        // Event bodies are a list of single-property objects, or a single object when there is only one property
+        const properties = [].concat(body || []).reduce((all, property) => Object.assign(all, property), {});
+        return {
+            volume: properties.GroupVolume !== undefined ? parseInt(properties.GroupVolume, 10) : null,
+            isMuted: properties.GroupMute !== undefined ? properties.GroupMute === '1' : null
+        };
+    },
+
+    // Accepts a group ID, a room name or a speaker UUID, case-insensitive like shouldIncludeGroup
+    resolveGroup: function(target) {
+        if (target === undefined || target === null || target === '') return null;
+        if (this.groupsById[target]) return this.groupsById[target];
+
+        const wanted = String(target).toLowerCase();
+        const groups = Object.values(this.groupsById);
+        return groups.find(group => group.ID.toLowerCase() === wanted || group.Name.toLowerCase() === wanted) ||
+            groups.find(group => group.ZoneGroupMember.some(member =>
+                (member.ZoneName && member.ZoneName.toLowerCase() === wanted) ||
+                (member.UUID && member.UUID.toLowerCase() === wanted)
+            )) ||
+            null;
+    },
+
+    // Control handlers resolve with a result instead of only logging, so callers can report failures
+    commandResult: function(group, error) {
+        return {
+            success: !error,
+            groupId: group ? group.ID : null,
+            groupName: group ? group.Name : null,
+            error: error ? (error.message || String(error)) : null
+        };
+    },
+
+    commandFailed: function(message, group) {
+        Log.error(`[MMM-Sonos] ${message}`);
+        return Promise.resolve(this.commandResult(group, message));
+    },
+
+    getVisibleMembers: function(group) {
+        // Satellites, subs and the second speaker of a stereo pair are invisible members
+        return group.ZoneGroupMember.filter(member => member.Invisible !== '1');
+    },
+
+    findMemberByName: function(room) {
+        const name = String(room).toLowerCase();
+        for (const group of this.allGroups) {
+            const member = group.ZoneGroupMember.find(m => m.Invisible !== '1' &&
+                ((m.ZoneName && m.ZoneName.toLowerCase() === name) || (m.UUID && m.UUID.toLowerCase() === name)));
+            if (member) return { group, member };
+        }
+        return null;
+    },
+
+    sendZones: function() {
+        const zones = [];
+        this.allGroups.forEach(group => {
+            this.getVisibleMembers(group).forEach(member => {
+                zones.push({
+                    name: member.ZoneName,
+                    uuid: member.UUID,
+                    householdId: group.householdId,
+                    groupId: group.ID,
+                    groupName: group.Name,
+                    isCoordinator: member.UUID === group.Coordinator
+                });
+            });
+        });
+        zones.sort((a, b) => a.name.localeCompare(b.name));
+        this.sendSocketNotification('SET_SONOS_ZONES', zones);
+    },
+
+    getMemberDevice: function(member) {
+        const location = new URL(member.Location);
+        return new Sonos(location.hostname, parseInt(location.port, 10) || 1400);
+    },
+
+    // Browse the content directory and keep the raw DIDL fields, favorites need their r:resMD metadata to play
+    browseContent: function(device, objectId, start = 0, count = 100) {
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+
+        return withTimeout(device.contentDirectoryService().Browse({
+            ObjectID: objectId,
+            BrowseFlag: 'BrowseDirectChildren',
+            Filter: '*',
+            StartingIndex: String(start),
+            RequestedCount: String(count),
+            SortCriteria: ''
+        }), timeouts.apiCall, `Browsing ${objectId} timed out`)
+            .then(result => Helpers.ParseXml(result.Result).then(didl => {
+                const content = didl['DIDL-Lite'] || {};
+                const entries = [].concat(content.item || [], content.container || []);
+                return {
+                    total: parseInt(result.TotalMatches, 10) || 0,
+                    start,
+                    entries: entries.map(entry => {
+                        let albumArtURI = entry['upnp:albumArtURI'] || null;
+                        if (Array.isArray(albumArtURI)) albumArtURI = albumArtURI[0] || null;
+                        if (albumArtURI && typeof albumArtURI === 'object') albumArtURI = albumArtURI._ || null;
+                        return {
+                            id: entry.id,
+                            title: entry['dc:title'] || null,
+                            artist: entry['dc:creator'] || null,
+                            album: entry['upnp:album'] || null,
+                            description: entry['r:description'] || null,
+                            uri: (entry.res && typeof entry.res === 'object' ? entry.res._ : entry.res) || null,
+                            metadata: entry['r:resMD'] || null,
+                            albumArtURI
+                        };
+                    })
+                };
+            }));
+    },
+
+    // Speakers answer 100 entries at most, the next pages are fetched until TotalMatches is reached
+    browseAllContent: function(device, objectId, entries = []) {
+        return this.browseContent(device, objectId, entries.length).then(page => {
+            const all = entries.concat(page.entries);
+            return page.entries.length > 0 && all.length < page.total
+                ? this.browseAllContent(device, objectId, all)
+                : { total: page.total, start: 0, entries: all };
+        });
+    },
+
+    fetchQueue: function(group, start, count) {
+        return this.browseContent(group.CoordinatorDevice(), 'Q:0', start, count).then(page => ({
+            total: page.total,
+            start: page.start,
+            // Queue positions are 1-based, like track.queuePosition
+            items: page.entries.map((entry, index) => ({
+                ...this.decorateTrack(group, entry),
+                position: page.start + index + 1
+            }))
+        }));
+    },
+
+    refreshUpNext: function(group, track) {
+        // Fetch enough for the instance showing the most, each one only displays its own count
+        const count = Math.max(0, ...Object.values(this.instances).map(instance => instance.upNextCount || 0));
+        if (count <= 0 || !track) return;
+
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+
+        // Only tracks played from the queue have a meaningful "next", streams and line-in don't
+        withTimeout(group.CoordinatorDevice().avTransportService().GetMediaInfo(), timeouts.apiCall, `GetMediaInfo timed out for ${group.Name}`)
+            .then(mediaInfo => {
+                if (!String(mediaInfo.CurrentURI || '').startsWith('x-rincon-queue:') || !(track.queuePosition > 0)) {
+                    return [];
+                }
+                // queuePosition is 1-based, so it is also the 0-based index of the next track
+                return this.fetchQueue(group, track.queuePosition, count).then(page => page.items);
+            })
+            .then(items => {
+                this.sendGroupNotification('SET_SONOS_UP_NEXT', { group, items });
+            })
+            .catch(error => {
+                this.debugLog(`[${group.Name}] Failed to refresh up next: ${error.message}`);
+            });
+    },
+
+    // Favorites and playlists belong to a household, browse the one of the given group
+    getBrowseDevice: function(group) {
+        group = group || Object.values(this.groupsById)[0] || this.allGroups.find(g => g.CoordinatorDevice);
+        return group ? group.CoordinatorDevice() : null;
+    },
+
+    parsePlayMode: function(playMode) {
+        return PLAY_MODES[playMode] || PLAY_MODES.NORMAL;
+    },
+
+    sendPlayMode: function(group, playMode) {
+        this.sendGroupNotification('SET_SONOS_PLAY_MODE', {
+            group,
+            playMode: this.parsePlayMode(playMode)
+        });
+    },
+
+    // Adaptive polling methods
+    isAnyGroupPlaying: function() {
+        return Object.values(this.groupHealth).some(
+            h => h.playState === 'playing'
+        );
+    },
+
+    getPollingInterval: function() {
+        const playingInterval = this.config?.pollingIntervalPlaying || 15000;
+        const idleInterval = this.config?.pollingIntervalIdle || 60000;
+        return this.isAnyGroupPlaying() ? playingInterval : idleInterval;
+    },
+
+    schedulePoll: function() {
+        // Clear any existing timeout
+        if (this.pollTimeout) {
+            clearTimeout(this.pollTimeout);
+        }
+
+        // Subscriptions stay alive while power saving, polling starts again with the refresh on wake
+        if (this.powerSave) {
+            this.debugLog('Power saving, not scheduling a poll');
+            this.pollTimeout = null;
+            return;
+        }
+
+        const interval = this.getPollingInterval();
+        this.debugLog(`Scheduling poll in ${interval}ms`);
+
+        this.pollTimeout = setTimeout(() => {
+            this.debugLog('Poll timer fired, starting poll cycle');
+            this.pollAllGroups().finally(() => {
+                // Only reschedule if polling hasn't been stopped (e.g., by rediscovery)
+                if (this.pollTimeout !== null) {
+                    this.schedulePoll();
+                } else {
+                    this.debugLog('Poll chain stopped (pollTimeout is null)');
+                }
+            });
+        }, interval);
+    },
+
+    pollAllGroups: function() {
+        this.debugLog(`Polling ${this.groups.length} groups`);
+        const promises = this.groups.map(group => this.pollGroup(group));
+        return Promise.allSettled(promises);
+    },
+
+    pollGroup: function(group) {
+        const device = group.CoordinatorDevice();
+        const health = this.groupHealth[group.ID];
+
+        // Guard: skip if group health not initialized (shouldn't happen, but defensive)
+        if (!health) {
+            this.debugLog(`No health state for group "${group.Name}", skipping poll`);
+            return Promise.resolve();
+        }
+
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const apiTimeout = timeouts.apiCall;
+        const maxFailures = this.config?.maxConsecutiveFailures || 3;
 
         return Promise.allSettled([
             withTimeout(device.currentTrack(), apiTimeout),
-            withTimeout(device.getVolume(), apiTimeout),
-            withTimeout(device.getMuted(), apiTimeout),
-            withTimeout(device.getCurrentState(), apiTimeout)
+            withTimeout(this.getGroupVolume(group), apiTimeout),
+            withTimeout(this.getGroupMuted(group), apiTimeout),
+            withTimeout(device.getCurrentState(), apiTimeout),
+            withTimeout(device.getPlayMode(), apiTimeout),
+            withTimeout(this.getSleepTimer(group), apiTimeout)
         ]).then(results => {
             const anySucceeded = results.some(r => r.status === 'fulfilled');
 
@@ -721,25 +1630,22 @@ module.exports = NodeHelper.create({
             // Reset failure count on success
             health.consecutiveFailures = 0;
 
-            this.debugLog(`[${group.Name}] Poll API results: track=${results[0].status}, vol=${results[1].status}, mute=${results[2].status}, state=${results[3].status}`);
+            this.debugLog(`[${group.Name}] Poll API results: track=${results[0].status}, vol=${results[1].status}, mute=${results[2].status}, state=${results[3].status}, playMode=${results[4].status}, sleepTimer=${results[5].status}`);
 
             // Track last known values to avoid sending duplicate updates
             if (results[0].status === 'fulfilled' && results[0].value) {
-                const track = results[0].value;
-                // Compare by metadata (title, artist, album, duration) rather than URI
-                // URI is unreliable for streaming sources (AirPlay, Google Home, Alexa)
-                // where all tracks share the same stream URI
-                const trackChanged = !health.lastTrack ||
-                    health.lastTrack.title !== track.title ||
-                    health.lastTrack.artist !== track.artist ||
-                    health.lastTrack.album !== track.album ||
-                    health.lastTrack.duration !== track.duration;
+                const track = this.decorateTrack(group, results[0].value);
+                const trackChanged = !this.isSameTrack(health.lastTrack, track);
 
                 this.debugLog(`[${group.Name}] Poll track: "${track.title}" by "${track.artist}", last: "${health.lastTrack?.title || 'none'}", changed: ${trackChanged}`);
 
                 if (trackChanged) {
                     health.lastTrack = track;
-                    this.sendSocketNotification('SET_SONOS_CURRENT_TRACK', { group, track });
+                    this.sendGroupNotification('SET_SONOS_CURRENT_TRACK', { group, track });
+                    this.refreshUpNext(group, track);
+                } else {
+                    // Same track, but the position moved on (or someone seeked from another app)
+                    this.sendPosition(group, track);
                 }
             }
 
@@ -747,7 +1653,7 @@ module.exports = NodeHelper.create({
                 const volume = results[1].value;
                 if (health.lastVolume !== volume) {
                     health.lastVolume = volume;
-                    this.sendSocketNotification('SET_SONOS_VOLUME', { group, volume });
+                    this.sendGroupNotification('SET_SONOS_VOLUME', { group, volume });
                 }
             }
 
@@ -755,7 +1661,7 @@ module.exports = NodeHelper.create({
                 const isMuted = results[2].value;
                 if (health.lastMuted !== isMuted) {
                     health.lastMuted = isMuted;
-                    this.sendSocketNotification('SET_SONOS_MUTE', { group, isMuted });
+                    this.sendGroupNotification('SET_SONOS_MUTE', { group, isMuted });
                 }
             }
 
@@ -763,12 +1669,37 @@ module.exports = NodeHelper.create({
                 const state = results[3].value;
                 if (health.playState !== state) {
                     health.playState = state;
-                    this.sendSocketNotification('SET_SONOS_PLAY_STATE', { group, state });
+                    this.sendGroupNotification('SET_SONOS_PLAY_STATE', { group, state });
+                }
+            }
+
+            if (results[4].status === 'fulfilled') {
+                const playMode = results[4].value;
+                if (health.lastPlayMode !== playMode) {
+                    health.lastPlayMode = playMode;
+                    this.sendPlayMode(group, playMode);
                 }
             }
+
+            if (results[5].status === 'fulfilled') {
+                health.sleepTimerEndsAt = this.sendSleepTimer(group, results[5].value, health.sleepTimerEndsAt);
+            }
+
+            this.checkRules(group);
         });
     },
 
+    // Compare by metadata (title, artist, album, duration) rather than URI
+    // URI is unreliable for streaming sources (AirPlay, Google Home, Alexa)
+    // where all tracks share the same stream URI
+    isSameTrack: function(a, b) {
+        return !!a && !!b &&
+            a.title === b.title &&
+            a.artist === b.artist &&
+            a.album === b.album &&
+            a.duration === b.duration;
+    },
+
     triggerRediscovery: function() {
         // Prevent re-entrant calls
         if (this.isRediscovering) {
@@ -797,11 +1728,7 @@ module.exports = NodeHelper.create({
 
         // Clean up existing state
         this.subscribedDevices.forEach(device => {
-            device.removeAllListeners('CurrentTrack');
-            device.removeAllListeners('Volume');
-            device.removeAllListeners('Muted');
-            device.removeAllListeners('PlayState');
-            device.removeAllListeners('error');
+            this.removeDeviceListeners(device);
         });
         this.subscribedDevices = [];
         this.groupHealth = {};
@@ -822,7 +1749,7 @@ module.exports = NodeHelper.create({
             }
         }
 
-        this.asyncDevice = null;
+        this.asyncHouseholds = null;
 
         // Start fresh discovery after a short delay
         setTimeout(() => {
@@ -838,11 +1765,7 @@ module.exports = NodeHelper.create({
 
         // Clean up existing listeners
         this.subscribedDevices.forEach(device => {
-            device.removeAllListeners('CurrentTrack');
-            device.removeAllListeners('Volume');
-            device.removeAllListeners('Muted');
-            device.removeAllListeners('PlayState');
-            device.removeAllListeners('error');
+            this.removeDeviceListeners(device);
         });
         this.subscribedDevices = [];
 
@@ -861,7 +1784,10 @@ module.exports = NodeHelper.create({
                 consecutiveFailures: 0,
                 lastTrack: null,
                 lastVolume: null,
-                lastMuted: null
+                lastMuted: null,
+                lastPlayMode: null,
+                sleepTimerEndsAt: null,
+                playingSince: null
             };
         });
 
@@ -900,61 +1826,1580 @@ module.exports = NodeHelper.create({
         });
     },
 
-    handleTogglePlayPause: function(groupId) {
-        const group = this.groupsById[groupId];
+    handleTogglePlayPause: function(target) {
+        const group = this.resolveGroup(target);
         if (!group) {
-            Log.error(`[MMM-Sonos] Group not found for ID: ${groupId}`);
-            return;
+            return this.commandFailed(`Group not found: ${target}`);
         }
 
         const sonos = group.CoordinatorDevice();
-        sonos.togglePlayback()
+        return sonos.togglePlayback()
             .then(() => {
                 this.debugLog(`Toggle play/pause for group: ${group.Name}`);
+                return this.commandResult(group);
             })
             .catch(error => {
                 Log.error(`[MMM-Sonos] Failed to toggle playback: ${error.message}`);
+                return this.commandResult(group, error);
             });
     },
 
-    handleNext: function(groupId) {
-        const group = this.groupsById[groupId];
+    handlePlay: function(target) {
+        const group = this.resolveGroup(target);
         if (!group) {
-            Log.error(`[MMM-Sonos] Group not found for ID: ${groupId}`);
-            return;
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        return sonos.play()
+            .then(() => {
+                this.debugLog(`Play for group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to start playback: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handlePause: function(target) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        return sonos.pause()
+            .then(() => {
+                this.debugLog(`Pause for group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to pause playback: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleNext: function(target) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
         }
 
         const sonos = group.CoordinatorDevice();
-        sonos.next()
+        return sonos.next()
             .then(() => {
                 this.debugLog(`Skip to next for group: ${group.Name}`);
+                return this.commandResult(group);
             })
             .catch(error => {
                 Log.error(`[MMM-Sonos] Failed to skip track: ${error.message}`);
+                return this.commandResult(group, error);
             });
     },
 
-    handleSetVolume: function(groupId, volume) {
-        const group = this.groupsById[groupId];
+    handlePrevious: function(target) {
+        const group = this.resolveGroup(target);
         if (!group) {
-            Log.error(`[MMM-Sonos] Group not found for ID: ${groupId}`);
-            return;
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        return sonos.previous()
+            .then(() => {
+                this.debugLog(`Skip to previous for group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to skip to previous track: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleSetVolume: function(target, volume) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
         }
 
         // Validate volume range
         volume = Math.max(0, Math.min(100, parseInt(volume, 10)));
         if (isNaN(volume)) {
-            Log.error(`[MMM-Sonos] Invalid volume value`);
-            return;
+            return this.commandFailed('Invalid volume value', group);
         }
 
-        const sonos = group.CoordinatorDevice();
-        sonos.setVolume(volume)
+        // Snapshot first so Sonos keeps the relative volumes between the speakers of the group
+        const groupRenderingControl = this.groupRenderingControl(group);
+        return groupRenderingControl.SnapshotGroupVolume()
+            .then(() => groupRenderingControl.SetGroupVolume(volume))
             .then(() => {
                 this.debugLog(`Set volume to ${volume} for group: ${group.Name}`);
+                return this.commandResult(group);
             })
             .catch(error => {
                 Log.error(`[MMM-Sonos] Failed to set volume: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleAdjustVolume: function(target, adjustment) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        adjustment = Math.max(-100, Math.min(100, parseInt(adjustment, 10)));
+        if (isNaN(adjustment)) {
+            return this.commandFailed('Invalid volume adjustment', group);
+        }
+
+        const groupRenderingControl = this.groupRenderingControl(group);
+        return groupRenderingControl.SnapshotGroupVolume()
+            .then(() => groupRenderingControl.SetRelativeGroupVolume(adjustment))
+            .then(newVolume => {
+                this.debugLog(`Adjusted volume by ${adjustment} to ${newVolume} for group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to adjust volume: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleSetMute: function(target, isMuted) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        isMuted = Boolean(isMuted);
+        const groupRenderingControl = this.groupRenderingControl(group);
+        let failure = null;
+        return groupRenderingControl.SetGroupMute(isMuted ? '1' : '0')
+            .then(() => {
+                this.debugLog(`Set mute to ${isMuted} for group: ${group.Name}`);
+                return isMuted;
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to set mute: ${error.message}`);
+                failure = error;
+                // The frontend already shows the requested state, send back the real one
+                return groupRenderingControl.GetGroupMute();
+            })
+            .then(actual => {
+                const health = this.groupHealth[group.ID];
+                if (health) health.lastMuted = actual;
+                this.sendGroupNotification('SET_SONOS_MUTE', { group, isMuted: actual });
+                return this.commandResult(group, failure);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to get mute state for "${group.Name}": ${error.message}`);
+                return this.commandResult(group, failure || error);
+            });
+    },
+
+    handleGetFavorites: function(target, identifier) {
+        const device = this.getBrowseDevice(this.resolveGroup(target));
+        if (!device) {
+            Log.error('[MMM-Sonos] No device available to fetch favorites');
+            return;
+        }
+
+        Promise.allSettled([
+            this.browseAllContent(device, 'FV:2'),
+            this.browseAllContent(device, 'SQ:')
+        ]).then(results => {
+            const [favorites, playlists] = results.map((result, index) => {
+                if (result.status === 'rejected') {
+                    Log.error(`[MMM-Sonos] Failed to fetch ${index === 0 ? 'favorites' : 'playlists'}: ${result.reason?.message || result.reason}`);
+                    return [];
+                }
+                return result.value.entries
+                    .filter(entry => entry.uri)
+                    .map(entry => this.decorateTrack({ host: device.host, port: device.port }, {
+                        ...entry,
+                        type: index === 0 ? 'favorite' : 'playlist'
+                    }));
+            });
+
+            this.favorites = favorites.concat(playlists);
+            this.debugLog(`Fetched ${favorites.length} favorites and ${playlists.length} playlists`);
+            this.sendSocketNotification('SET_SONOS_FAVORITES', {
+                identifier,
+                // Metadata stays in the node_helper, it is only needed to start playback
+                favorites: favorites.map(({ metadata, ...favorite }) => favorite),
+                playlists: playlists.map(({ metadata, ...playlist }) => playlist)
+            });
+        });
+    },
+
+    handlePlayFavorite: function(target, id) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const favorite = this.favorites.find(f => f.id === id);
+        if (!favorite) {
+            return this.commandFailed(`Favorite not found for ID: ${id}`, group);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        const metadata = favorite.metadata || (favorite.type === 'playlist' ? this.generatePlaylistMetadata(favorite) : '');
+        const isContainer = CONTAINER_URI_PREFIXES.some(prefix => favorite.uri.startsWith(prefix)) ||
+            /object\.container/.test(metadata);
+
+        // Containers (albums, playlists) replace the queue, streams and single tracks play directly
+        const play = isContainer
+            ? sonos.flush()
+                .then(() => sonos.queue({ uri: favorite.uri, metadata }))
+                .then(() => sonos.selectQueue())
+                .then(() => sonos.selectTrack(1))
+                .then(() => sonos.play())
+            : sonos.setAVTransportURI({ uri: favorite.uri, metadata });
+
+        return play
+            .then(result => {
+                // setAVTransportURI resolves with an Error instead of rejecting on bad input
+                if (result instanceof Error) throw result;
+                Log.log(`[MMM-Sonos] Playing ${favorite.type} "${favorite.title}" on group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to play ${favorite.type} "${favorite.title}": ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    generatePlaylistMetadata: function(item) {
+        return '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/" ' +
+            'xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/" xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">' +
+            `<item id="${Helpers.EncodeXml(item.id)}" parentID="SQ:" restricted="true">` +
+            `<dc:title>${Helpers.EncodeXml(item.title || '')}</dc:title>` +
+            '<upnp:class>object.container.playlistContainer</upnp:class>' +
+            '<desc id="cdudn" nameSpace="urn:schemas-rinconnetworks-com:metadata-1-0/">RINCON_AssociatedZPUDN</desc>' +
+            '</item></DIDL-Lite>';
+    },
+
+    handleGetQueue: function(target, start, count, identifier) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            Log.error(`[MMM-Sonos] Group not found: ${target}`);
+            return;
+        }
+
+        // Page through large queues instead of pulling thousands of items at once
+        start = Math.max(0, parseInt(start, 10) || 0);
+        count = Math.max(1, Math.min(100, parseInt(count, 10) || 50));
+
+        this.fetchQueue(group, start, count)
+            .then(queue => {
+                this.debugLog(`Fetched queue items ${start}-${start + queue.items.length} of ${queue.total} for group: ${group.Name}`);
+                this.sendSocketNotification('SET_SONOS_QUEUE', { identifier, group, ...queue });
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to fetch queue for "${group.Name}": ${error.message}`);
+            });
+    },
+
+    handleGetLyrics: function(target, identifier) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            Log.error(`[MMM-Sonos] Group not found: ${target}`);
+            return;
+        }
+
+        const item = this.itemsById[group.ID];
+        const track = item && item.track;
+        if (!track || !track.title) {
+            this.sendSocketNotification('SET_SONOS_LYRICS', { identifier, group, title: null, artist: null, lines: null });
+            return;
+        }
+
+        const options = { ...DEFAULT_LYRICS, ...(this.instances[identifier]?.lyrics || this.config?.lyrics) };
+        this.getLyrics(track, options)
+            .catch(error => {
+                Log.warn(`[MMM-Sonos] Failed to get lyrics for "${track.artist} - ${track.title}": ${error.message}`);
+                return null;
+            })
+            .then(lines => {
+                this.debugLog(`${lines ? lines.length : 'No'} lyrics lines for "${track.artist} - ${track.title}"`);
+                this.sendSocketNotification('SET_SONOS_LYRICS', {
+                    identifier,
+                    group,
+                    title: track.title,
+                    artist: track.artist || null,
+                    lines
+                });
             });
+    },
+
+    handlePlayQueueItem: function(target, position) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        position = parseInt(position, 10);
+        if (isNaN(position) || position < 1) {
+            return this.commandFailed('Invalid queue position', group);
+        }
+
+        // Switch to the queue first, the group might be playing a stream
+        const sonos = group.CoordinatorDevice();
+        return sonos.selectQueue()
+            .then(() => sonos.selectTrack(position))
+            .then(() => sonos.play())
+            .then(() => {
+                this.debugLog(`Jump to queue position ${position} for group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to play queue position ${position}: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleGetMemberVolumes: function(target, identifier) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            Log.error(`[MMM-Sonos] Group not found: ${target}`);
+            return;
+        }
+
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const apiTimeout = timeouts.apiCall;
+
+        Promise.all(this.getVisibleMembers(group).map(member => {
+            const device = this.getMemberDevice(member);
+            return Promise.allSettled([
+                withTimeout(device.getVolume(), apiTimeout, `getVolume timed out for ${member.ZoneName}`),
+                withTimeout(device.getMuted(), apiTimeout, `getMuted timed out for ${member.ZoneName}`)
+            ]).then(results => {
+                results.filter(result => result.status === 'rejected').forEach(result => {
+                    Log.error(`[MMM-Sonos] Failed to get volume of "${member.ZoneName}": ${result.reason?.message || result.reason}`);
+                });
+                return {
+                    uuid: member.UUID,
+                    name: member.ZoneName,
+                    volume: results[0].status === 'fulfilled' ? results[0].value : null,
+                    isMuted: results[1].status === 'fulfilled' ? results[1].value : false
+                };
+            });
+        })).then(members => {
+            this.sendSocketNotification('SET_SONOS_MEMBER_VOLUMES', { identifier, group, members });
+        });
+    },
+
+    handleSetMemberVolume: function(target, uuid, volume) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const member = group.ZoneGroupMember.find(m => m.UUID === uuid);
+        if (!member) {
+            return this.commandFailed(`Member ${uuid} not found in group: ${group.Name}`, group);
+        }
+
+        // Validate volume range
+        volume = Math.max(0, Math.min(100, parseInt(volume, 10)));
+        if (isNaN(volume)) {
+            return this.commandFailed('Invalid volume value', group);
+        }
+
+        return this.getMemberDevice(member).setVolume(volume)
+            .then(() => {
+                this.debugLog(`Set volume to ${volume} for "${member.ZoneName}" in group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to set volume of "${member.ZoneName}": ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleJoinGroup: function(target, room) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        const found = this.findMemberByName(room);
+        if (!found) {
+            this.sendZones();
+            return this.commandFailed(`Room not found: ${room}`, group);
+        }
+
+        const coordinator = group.ZoneGroupMember.find(m => m.UUID === group.Coordinator);
+        return this.getMemberDevice(found.member).joinGroup(coordinator.ZoneName)
+            .then(result => {
+                // joinGroup resolves with an Error instead of rejecting when the target isn't found
+                if (result instanceof Error) throw result;
+                // The display refreshes through ZonesChanged -> discoverGroups -> setGroups
+                Log.log(`[MMM-Sonos] "${found.member.ZoneName}" joined group: ${group.Name}`);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to add "${found.member.ZoneName}" to group "${group.Name}": ${error.message}`);
+                this.sendZones();
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleLeaveGroup: function(room) {
+        const found = this.findMemberByName(room);
+        if (!found) {
+            this.sendZones();
+            return this.commandFailed(`Room not found: ${room}`);
+        }
+
+        return this.getMemberDevice(found.member).leaveGroup()
+            .then(() => {
+                // The display refreshes through ZonesChanged -> discoverGroups -> setGroups
+                Log.log(`[MMM-Sonos] "${found.member.ZoneName}" left group: ${found.group.Name}`);
+                return this.commandResult(found.group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to remove "${found.member.ZoneName}" from group "${found.group.Name}": ${error.message}`);
+                this.sendZones();
+                return this.commandResult(found.group, error);
+            });
+    },
+
+    handleSeek: function(target, position) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        position = Math.max(0, Math.round(Number(position)));
+        if (isNaN(position)) {
+            return this.commandFailed('Invalid seek position', group);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        return sonos.seek(position)
+            .then(() => {
+                this.debugLog(`Seek to ${position}s for group: ${group.Name}`);
+                this.refreshPosition(group, sonos);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to seek: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleSeekRelative: function(target, seconds) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        seconds = parseInt(seconds, 10);
+        if (isNaN(seconds)) {
+            return this.commandFailed('Invalid seek offset', group);
+        }
+
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const sonos = group.CoordinatorDevice();
+
+        // Offset from the speaker's own position, the frontend's is only interpolated
+        return withTimeout(sonos.currentTrack(), timeouts.apiCall, `currentTrack timed out for ${group.Name}`)
+            .then(track => {
+                let position = Math.max(0, (track.position || 0) + seconds);
+                if (track.duration > 0) {
+                    position = Math.min(position, track.duration);
+                }
+                return sonos.seek(position).then(() => position);
+            })
+            .then(position => {
+                this.debugLog(`Seek ${seconds > 0 ? '+' : ''}${seconds}s to ${position}s for group: ${group.Name}`);
+                this.refreshPosition(group, sonos);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to seek: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    handleSetPlayMode: function(target, changes) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        if (changes.repeat !== undefined && !['off', 'all', 'one'].includes(changes.repeat)) {
+            return this.commandFailed(`Invalid repeat mode: ${changes.repeat}`, group);
+        }
+
+        const sonos = group.CoordinatorDevice();
+        return sonos.getPlayMode()
+            .then(current => {
+                const wanted = { ...this.parsePlayMode(current), ...changes };
+                const playMode = Object.keys(PLAY_MODES).find(mode =>
+                    PLAY_MODES[mode].shuffle === Boolean(wanted.shuffle) && PLAY_MODES[mode].repeat === wanted.repeat
+                );
+                return sonos.setPlayMode(playMode).then(() => playMode);
+            })
+            .then(playMode => {
+                this.debugLog(`Set play mode to ${playMode} for group: ${group.Name}`);
+                const health = this.groupHealth[group.ID];
+                if (health) health.lastPlayMode = playMode;
+                this.sendPlayMode(group, playMode);
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to set play mode: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    // 0 or no minutes cancel the timer
+    handleSetSleepTimer: function(target, minutes) {
+        const group = this.resolveGroup(target);
+        if (!group) {
+            return this.commandFailed(`Group not found: ${target}`);
+        }
+
+        minutes = parseInt(minutes, 10) || 0;
+        if (minutes < 0 || minutes >= 24 * 60) {
+            return this.commandFailed(`Invalid sleep timer: ${minutes} minutes`, group);
+        }
+
+        const duration = minutes > 0
+            ? `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`
+            : '';
+        return group.CoordinatorDevice().avTransportService().ConfigureSleepTimer(duration)
+            .then(() => {
+                this.debugLog(`Sleep timer ${duration || 'cancelled'} for group: ${group.Name}`);
+                const health = this.groupHealth[group.ID];
+                const endsAt = this.sendSleepTimer(group, minutes > 0 ? minutes * 60 : null, health ? health.sleepTimerEndsAt : null);
+                if (health) {
+                    health.sleepTimerEndsAt = endsAt;
+                }
+                return this.commandResult(group);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to set sleep timer: ${error.message}`);
+                return this.commandResult(group, error);
+            });
+    },
+
+    // Alarms belong to the household, only those of rooms the instance displays are sent
+    handleGetAlarms: function(identifier) {
+        const instance = this.instances[identifier] || {};
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+
+        // Not discovered yet, or rediscovering after a failure
+        const households = this.asyncHouseholds || Promise.reject(new Error('Sonos households not discovered yet'));
+
+        households.then(households => Promise.allSettled(households.map(household => withTimeout(
+            household.device.alarmClockService().ListAlarms(),
+            timeouts.apiCall,
+            `ListAlarms timed out for ${household.name}`
+        ).then(result => Promise.all(result.Alarms.map(alarm => this.parseAlarm(alarm, household)))))).then(results => {
+            const alarms = [];
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    Log.error(`[MMM-Sonos] Failed to list alarms of "${households[index].name}": ${result.reason?.message || result.reason}`);
+                    return;
+                }
+                result.value
+                    .filter(alarm => {
+                        const room = this.findMemberByName(alarm.roomUUID);
+                        return room && this.instanceIncludesGroup(instance, { ...room.group, ZoneGroupMember: [room.member], Coordinator: room.member.UUID });
+                    })
+                    .forEach(alarm => alarms.push(alarm));
+            });
+
+            alarms.sort((a, b) => a.nextAt - b.nextAt);
+            this.debugLog(`Found ${alarms.length} alarms`);
+            this.sendSocketNotification('SET_SONOS_ALARMS', { identifier, alarms });
+        })).catch(error => {
+            Log.error(`[MMM-Sonos] Failed to list alarms: ${error.message}`);
+            this.sendSocketNotification('SET_SONOS_ALARMS', { identifier, alarms: [] });
+        });
+    },
+
+    parseAlarm: function(alarm, household) {
+        const room = this.findMemberByName(alarm.RoomUUID);
+        const program = alarm.ProgramURI && alarm.ProgramURI.startsWith('x-rincon-buzzer:')
+            ? Promise.resolve('Sonos Chime')
+            : Helpers.ParseXml(alarm.ProgramMetaData || '')
+                .then(didl => {
+                    const item = didl && didl['DIDL-Lite'] && (didl['DIDL-Lite'].item || didl['DIDL-Lite'].container);
+                    return item && typeof item['dc:title'] === 'string' ? item['dc:title'] : null;
+                })
+                .catch(() => null);
+
+        return program.then(programName => ({
+            id: alarm.ID,
+            householdId: household.id,
+            roomUUID: alarm.RoomUUID,
+            room: room ? room.member.ZoneName : alarm.RoomUUID,
+            time: (alarm.StartTime || '').slice(0, 5),
+            recurrence: alarm.Recurrence,
+            enabled: alarm.Enabled === '1',
+            volume: parseInt(alarm.Volume, 10),
+            program: programName,
+            nextAt: this.getNextAlarmTime(alarm.StartTime, alarm.Recurrence)
+        }));
+    },
+
+    // Recurrences are ONCE, DAILY, WEEKDAYS, WEEKENDS or ON_<days> with 0 for Sunday, e.g. ON_135
+    getNextAlarmTime: function(startTime, recurrence) {
+        const [hours, minutes, seconds] = String(startTime || '').split(':').map(part => parseInt(part, 10) || 0);
+        const days = {
+            WEEKDAYS: [1, 2, 3, 4, 5],
+            WEEKENDS: [0, 6]
+        }[recurrence] || (/^ON_\d+$/.test(recurrence) ? recurrence.slice(3).split('').map(Number) : [0, 1, 2, 3, 4, 5, 6]);
+
+        const now = new Date();
+        for (let offset = 0; offset <= 7; offset++) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, hours, minutes, seconds);
+            if (date > now && days.includes(date.getDay())) {
+                return date.getTime();
+            }
+        }
+        return null;
+    },
+
+    handleSetAlarmEnabled: function(id, householdId, enabled, identifier) {
+        if (id === undefined || id === null) {
+            return this.commandFailed(`Alarm not found: ${id}`);
+        }
+        if (!this.asyncHouseholds) {
+            return this.commandFailed('Sonos households not discovered yet');
+        }
+
+        return this.asyncHouseholds
+            .then(households => {
+                const household = households.find(h => h.id === householdId) || households[0];
+                if (!household) {
+                    throw new Error(`Household not found: ${householdId}`);
+                }
+                return household.device.alarmClockService().SetAlarm(String(id), !!enabled);
+            })
+            .then(result => {
+                // The library resolves with an error when the alarm doesn't exist
+                if (result instanceof Error) {
+                    throw result;
+                }
+                this.debugLog(`Alarm ${id} ${enabled ? 'enabled' : 'disabled'}`);
+                this.handleGetAlarms(identifier);
+                return this.commandResult(null);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to ${enabled ? 'enable' : 'disable'} alarm ${id}: ${error.message}`);
+                // Puts the toggle back
+                this.handleGetAlarms(identifier);
+                return this.commandResult(null, error);
+            });
+    },
+
+    // Power saving starts once every instance has nobody present or its screen off, and ends as soon as one is back
+    handlePresence: function(identifier, present, screenOn) {
+        const instance = this.instances[identifier];
+        if (!instance) return;
+
+        const wasPresent = instance.present !== false;
+        instance.present = present !== false;
+        instance.screenOn = screenOn !== false;
+        this.debugLog(`Instance ${identifier}: ${instance.present ? 'someone present' : 'nobody present'}, screen ${instance.screenOn ? 'on' : 'off'}`);
+
+        if (instance.present !== wasPresent) {
+            this.scheduleAbsencePause(identifier);
+        }
+
+        const idle = Object.values(this.instances)
+            .every(i => i.powerSave !== false && (i.present === false || i.screenOn === false));
+        if (idle && !this.powerSave) {
+            this.enterPowerSave();
+        } else if (!idle && this.powerSave) {
+            this.exitPowerSave();
+        }
+    },
+
+    enterPowerSave: function() {
+        Log.log('[MMM-Sonos] Nobody is watching, polling stops until someone is back');
+        this.powerSave = true;
+
+        if (this.pollTimeout) {
+            clearTimeout(this.pollTimeout);
+            this.pollTimeout = null;
+        }
+        this.pollingIntervals.forEach(id => clearInterval(id));
+        this.pollingIntervals = [];
+
+        // Quiet hours and pauseAfter matter most while nobody is watching, events alone don't tell when a window starts
+        if (this.rules.length > 0) {
+            this.powerSaveRulesTimer = setInterval(() => {
+                Object.values(this.groupsById).forEach(group => this.checkRules(group));
+            }, POWER_SAVE_RULES_INTERVAL);
+        }
+    },
+
+    exitPowerSave: function() {
+        Log.log('[MMM-Sonos] Someone is back, refreshing all groups');
+        this.powerSave = false;
+        clearInterval(this.powerSaveRulesTimer);
+        this.powerSaveRulesTimer = null;
+        // Changes only polling would have caught were missed, fetch everything like on start
+        this.discoverGroups();
+    },
+
+    // Pauses the playing groups of the instance once nobody was present for pauseWhenAbsent minutes
+    scheduleAbsencePause: function(identifier) {
+        const instance = this.instances[identifier];
+        clearTimeout(this.absenceTimers[identifier]);
+        delete this.absenceTimers[identifier];
+
+        const minutes = instance.pauseWhenAbsent || 0;
+        if (instance.present !== false || minutes <= 0) return;
+
+        this.absenceTimers[identifier] = setTimeout(() => {
+            delete this.absenceTimers[identifier];
+            Object.values(this.itemsById)
+                .filter(item => item.state === 'playing' && this.instanceIncludesGroup(instance, item.group))
+                .forEach(item => {
+                    Log.log(`[MMM-Sonos] Nobody present for ${minutes} minutes, pausing "${item.group.Name}"`);
+                    this.handlePause(item.group.ID);
+                });
+        }, minutes * 60 * 1000);
+    },
+
+    loadHistory: function() {
+        try {
+            const history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+            this.history = Array.isArray(history) ? history : [];
+            this.trimHistory();
+            this.debugLog(`Loaded ${this.history.length} history entries`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                Log.warn(`[MMM-Sonos] Failed to load the play history: ${error.message}`);
+            }
+            this.history = [];
+        }
+    },
+
+    // Rotated by age, not by count, so the statistics of this month see every track of it
+    trimHistory: function() {
+        const oldest = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+        const expired = this.history.findIndex(entry => entry.startedAt >= oldest);
+        this.history.splice(0, expired === -1 ? this.history.length : expired);
+    },
+
+    // Writes are batched, a track change comes with a play state change and several instances
+    saveHistory: function() {
+        if (this.historySaveTimer) return;
+
+        this.historySaveTimer = setTimeout(() => {
+            this.historySaveTimer = null;
+            // Write to a temporary file first, other modules might read the history at any time
+            const temporary = `${this.historyFile}.tmp`;
+            fs.promises.mkdir(path.dirname(this.historyFile), { recursive: true })
+                .then(() => fs.promises.writeFile(temporary, JSON.stringify(this.history)))
+                .then(() => fs.promises.rename(temporary, this.historyFile))
+                .catch(error => {
+                    Log.warn(`[MMM-Sonos] Failed to save the play history: ${error.message}`);
+                });
+        }, 2000);
+    },
+
+    // One entry per track played in a room, the listened time only grows while the group is playing
+    recordHistory: function(item) {
+        const { group, track, state } = item;
+        const key = group.Coordinator;
+        let current = this.historyCurrent[key];
+
+        if (current && !this.isSameTrack(current.track, track)) {
+            this.countListened(current);
+            delete this.historyCurrent[key];
+            current = null;
+            this.saveHistory();
+        }
+
+        if (!current) {
+            // Only tracks that actually play make it into the history, TV and line-in have no title
+            if (state !== 'playing' || !track || !track.title) return;
+
+            const room = (group.ZoneGroupMember.find(member => member.UUID === group.Coordinator) || {}).ZoneName || group.Name;
+            const last = [...this.history].reverse().find(entry => entry.room === room);
+            // Still the same track after a restart or a rediscovery
+            const resumed = last && this.isSameTrack(last, track) &&
+                Date.now() - last.startedAt < Math.max(track.duration || 0, 600) * 1000;
+
+            const entry = resumed ? last : {
+                room,
+                rooms: this.getVisibleMembers(group).map(member => member.ZoneName),
+                householdId: group.householdId,
+                householdName: group.householdName,
+                title: track.title,
+                artist: track.artist || null,
+                album: track.album || null,
+                duration: track.duration || 0,
+                source: track.source || null,
+                station: track.station || null,
+                albumArtURL: track.albumArtURL || null,
+                albumArtProxyURL: track.albumArtProxyURL || null,
+                startedAt: Date.now(),
+                listened: 0
+            };
+            if (!resumed) {
+                this.history.push(entry);
+                this.trimHistory();
+                this.debugLog(`[${group.Name}] History: "${track.title}" by "${track.artist}"`);
+                this.saveHistory();
+            }
+            this.historyCurrent[key] = { track, entry, playingSince: Date.now() };
+            return;
+        }
+
+        if (state === 'playing' && !current.playingSince) {
+            current.playingSince = Date.now();
+        } else if (state !== 'playing' && current.playingSince) {
+            this.countListened(current);
+            this.saveHistory();
+        }
+    },
+
+    countListened: function(current) {
+        if (!current.playingSince) return;
+        current.entry.listened += Math.round((Date.now() - current.playingSince) / 1000);
+        current.playingSince = null;
+    },
+
+    // Newest first, only the rooms the instance displays (all rooms without an instance)
+    getHistory: function(instance, room, limit) {
+        limit = Math.max(1, parseInt(limit, 10) || 50);
+        return this.getHistoryEntries(instance, room).slice(-limit).reverse();
+    },
+
+    // Oldest first, entries playing right now include the time listened so far
+    getHistoryEntries: function(instance, room) {
+        const playing = new Map(Object.values(this.historyCurrent)
+            .filter(current => current.playingSince)
+            .map(current => [current.entry, current]));
+
+        return this.history
+            .filter(entry => !room || entry.rooms.some(name => this.matchesRoom(name, room)))
+            .filter(entry => !instance || this.instanceIncludesGroup(instance, {
+                householdId: entry.householdId,
+                householdName: entry.householdName,
+                Coordinator: entry.room,
+                ZoneGroupMember: entry.rooms.map(name => ({ ZoneName: name, UUID: name }))
+            }))
+            .map(entry => playing.has(entry)
+                ? { ...entry, listened: entry.listened + Math.round((Date.now() - playing.get(entry).playingSince) / 1000) }
+                : entry);
+    },
+
+    // Top artists, tracks and rooms of today, this week and this month, summed up here so the browser gets only the totals
+    getStats: function(instance, room, count) {
+        count = Math.max(1, parseInt(count, 10) || 5);
+        const entries = this.getHistoryEntries(instance, room);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const starts = {
+            today: today.getTime(),
+            // Weeks start on Monday
+            week: new Date(today.getFullYear(), today.getMonth(), today.getDate() - (today.getDay() + 6) % 7).getTime(),
+            month: new Date(today.getFullYear(), today.getMonth(), 1).getTime()
+        };
+
+        return Object.fromEntries(STATS_PERIODS.map(period => {
+            const artists = new Map();
+            const tracks = new Map();
+            const rooms = new Map();
+            let listened = 0;
+            let plays = 0;
+
+            const add = (map, key, fields, entry, played) => {
+                const total = map.get(key) || { ...fields, plays: 0, listened: 0 };
+                total.plays += played ? 1 : 0;
+                total.listened += entry.listened;
+                map.set(key, total);
+            };
+
+            entries.filter(entry => entry.startedAt >= starts[period]).forEach(entry => {
+                const played = entry.listened >= Math.min(STATS_MIN_PLAY_SECONDS, entry.duration || STATS_MIN_PLAY_SECONDS);
+                listened += entry.listened;
+                plays += played ? 1 : 0;
+                // Radio shows have no artist, the station stands in for it
+                const artist = entry.artist || entry.station;
+                if (artist) {
+                    add(artists, artist.toLowerCase(), { name: artist }, entry, played);
+                }
+                add(tracks, `${(entry.artist || '').toLowerCase()}\n${entry.title.toLowerCase()}`,
+                    { title: entry.title, artist: entry.artist }, entry, played);
+                // Every room of a group listened to the whole track
+                entry.rooms.forEach(name => add(rooms, name, { room: name }, entry, played));
+            });
+
+            // Artists and tracks that were only skipped stay out of the top lists
+            const top = (map, byPlays) => [...map.values()]
+                .filter(total => !byPlays || total.plays > 0)
+                .sort((a, b) => byPlays
+                    ? b.plays - a.plays || b.listened - a.listened
+                    : b.listened - a.listened || b.plays - a.plays)
+                .slice(0, count);
+
+            return [period, {
+                since: starts[period],
+                listened,
+                plays,
+                artists: top(artists, true),
+                tracks: top(tracks, true),
+                rooms: top(rooms, false)
+            }];
+        }));
+    },
+
+    // Every instance can declare rules, the same rule declared twice only runs once
+    collectRules: function() {
+        const seen = new Set();
+        const rules = [];
+
+        Object.values(this.instances).forEach(instance => {
+            (Array.isArray(instance.rules) ? instance.rules : []).forEach(rule => {
+                const key = JSON.stringify(rule);
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                const name = this.getRuleName(rule);
+                const times = [rule.from, rule.to].filter(time => time !== undefined);
+                if (!Array.isArray(rule.rooms) || rule.rooms.length === 0) {
+                    Log.warn(`[MMM-Sonos] Rule "${name}" ignored: it needs rooms`);
+                } else if (times.length === 1 || times.some(time => this.parseRuleTime(time) === null)) {
+                    Log.warn(`[MMM-Sonos] Rule "${name}" ignored: from and to must both be set as "HH:MM"`);
+                } else if (![rule.maxVolume, rule.volume, rule.pauseAfter].some(value => typeof value === 'number')) {
+                    Log.warn(`[MMM-Sonos] Rule "${name}" ignored: it needs maxVolume, volume or pauseAfter`);
+                } else {
+                    rules.push(rule);
+                }
+            });
+        });
+
+        if (rules.length > 0) {
+            Log.log(`[MMM-Sonos] ${rules.length} automation rules: ${rules.map(rule => `"${this.getRuleName(rule)}"`).join(', ')}`);
+        }
+        return rules;
+    },
+
+    getRuleName: function(rule) {
+        if (rule.name) return rule.name;
+        const rooms = Array.isArray(rule.rooms) ? rule.rooms.join(', ') : '?';
+        return rule.from ? `${rooms} ${rule.from}-${rule.to}` : rooms;
+    },
+
+    // Minutes since midnight, null when not "HH:MM"
+    parseRuleTime: function(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return null;
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    },
+
+    // Windows may wrap around midnight (22:00-07:00), days are 0 (Sunday) to 6
+    isRuleActive: function(rule, now = new Date()) {
+        if (Array.isArray(rule.days) && rule.days.length > 0 && !rule.days.includes(now.getDay())) return false;
+        if (rule.from === undefined) return true;
+
+        const from = this.parseRuleTime(rule.from);
+        const to = this.parseRuleTime(rule.to);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        return from <= to
+            ? minutes >= from && minutes < to
+            : minutes >= from || minutes < to;
+    },
+
+    // Runs on every poll and on play state and volume events, with the state kept in groupHealth
+    checkRules: function(group) {
+        const health = this.groupHealth[group.ID];
+        if (!health || this.rules.length === 0) return;
+
+        // Playing time for pauseAfter, from when the group last started playing. Sonos is
+        // transitioning between every two tracks, a playlist keeps counting through that
+        if (health.playState === 'playing') {
+            health.playingSince = health.playingSince || Date.now();
+        } else if (['paused', 'stopped', 'no_media'].includes(health.playState)) {
+            health.playingSince = null;
+        }
+
+        this.rules.forEach((rule, index) => {
+            if (!this.shouldIncludeGroup(group, rule.rooms, rule.excludeRooms)) return;
+
+            // Keyed by coordinator, group IDs change when rooms are (un)grouped
+            const key = `${index}:${group.Coordinator}`;
+            const state = this.ruleStates[key] || (this.ruleStates[key] = { active: false, duckedFrom: null, pending: false });
+            if (state.pending) return;
+
+            const active = this.isRuleActive(rule);
+            const volume = health.lastVolume;
+
+            // Ducking sets the volume once when the window starts and puts it back when it ends
+            if (typeof rule.volume === 'number' && active !== state.active) {
+                if (active) {
+                    if (volume === null) return;
+                    state.duckedFrom = volume;
+                    state.active = true;
+                    this.runRuleAction(rule, group, state, `duck volume from ${volume} to ${rule.volume}`, () => this.handleSetVolume(group.ID, rule.volume));
+                    return;
+                }
+                const duckedFrom = state.duckedFrom;
+                state.duckedFrom = null;
+                state.active = false;
+                if (duckedFrom !== null && rule.restoreVolume !== false) {
+                    this.runRuleAction(rule, group, state, `restore volume to ${duckedFrom}`, () => this.handleSetVolume(group.ID, duckedFrom));
+                    return;
+                }
+            }
+            state.active = active;
+            if (!active) return;
+
+            if (typeof rule.maxVolume === 'number' && volume !== null && volume > rule.maxVolume) {
+                this.runRuleAction(rule, group, state, `cap volume from ${volume} to ${rule.maxVolume}`, () => this.handleSetVolume(group.ID, rule.maxVolume));
+            } else if (typeof rule.pauseAfter === 'number' && health.playingSince &&
+                Date.now() - health.playingSince >= rule.pauseAfter * 60 * 1000) {
+                health.playingSince = null;
+                this.runRuleAction(rule, group, state, `pause after ${rule.pauseAfter} minutes of playback`, () => this.handlePause(group.ID));
+            }
+        });
+    },
+
+    runRuleAction: function(rule, group, state, description, action) {
+        Log.log(`[MMM-Sonos] Rule "${this.getRuleName(rule)}": ${description} in "${group.Name}"`);
+        state.pending = true;
+        return action()
+            .then(result => {
+                if (!result.success) {
+                    Log.error(`[MMM-Sonos] Rule "${this.getRuleName(rule)}" failed to ${description} in "${group.Name}": ${result.error}`);
+                }
+            })
+            .finally(() => {
+                state.pending = false;
+            });
+    },
+
+    // Resolves once the response is sent
+    serveApiRequest: function(req, res, action) {
+        if (!this.config || !this.config.httpApi) {
+            res.status(404).end();
+            return;
+        }
+
+        // Only in a header, query strings end up in logs and browser history
+        if (this.config.httpApiKey && !this.isValidApiKey(req.get('X-Api-Key'))) {
+            res.status(401).json({ success: false, error: 'Invalid API key' });
+            return;
+        }
+
+        return this.readRequestBody(req)
+            .then(body => this.handleApiRequest(action, req.params.room, { ...req.query, ...body }))
+            .then(({ status, body }) => {
+                res.status(status).json(body);
+            })
+            .catch(error => {
+                Log.warn(`[MMM-Sonos] HTTP API request "${action}" failed: ${error.message}`);
+                res.status(400).json({ success: false, error: error.message });
+            });
+    },
+
+    // Compares hashes, they have the same length whatever the key sent, so the time taken gives nothing away
+    isValidApiKey: function(key) {
+        if (typeof key !== 'string') return false;
+        const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(hash(key), hash(this.config.httpApiKey));
+    },
+
+    // MagicMirror doesn't parse request bodies, unless some other module added a parser already
+    readRequestBody: function(req) {
+        if (req.body !== undefined || req.method !== 'POST') {
+            return Promise.resolve(req.body || {});
+        }
+
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                data += chunk;
+                if (data.length > 10000) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!data.trim()) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new Error('Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    },
+
+    // Independent from express, resolves with the HTTP status and the JSON body to answer with
+    handleApiRequest: function(action, room, params) {
+        if (action === 'state') {
+            return Promise.resolve({ status: 200, body: this.itemsById });
+        }
+        if (action === 'history') {
+            return Promise.resolve({ status: 200, body: this.getHistory(null, params.room, params.limit) });
+        }
+        if (action === 'stats') {
+            return Promise.resolve({ status: 200, body: this.getStats(null, params.room, params.count) });
+        }
+
+        const group = this.resolveGroup(room);
+        if (!group) {
+            return Promise.resolve({ status: 404, body: { success: false, error: `Group not found: ${room}` } });
+        }
+
+        if (action === 'room') {
+            return Promise.resolve({ status: 200, body: this.itemsById[group.ID] || null });
+        }
+
+        if (!COMMAND_ACTIONS.includes(action)) {
+            return Promise.resolve({ status: 404, body: { success: false, error: `Unknown action: ${action}` } });
+        }
+
+        const command = this.runCommand(group, action, {
+            ...params,
+            muted: params.muted === undefined || params.muted === true || params.muted === 'true'
+        });
+        if (!command) {
+            return Promise.resolve({ status: 400, body: { success: false, error: 'Expected a "volume" or "adjustment" number' } });
+        }
+
+        // The item is updated by the speaker's events, the state returned is the one before the command
+        return command.then(result => ({
+            status: result.success ? 200 : 502,
+            body: { ...result, item: this.itemsById[group.ID] || null }
+        }));
+    },
+
+    // Runs one of COMMAND_ACTIONS, null when the parameters don't make sense for the action
+    runCommand: function(group, action, params) {
+        switch (action) {
+            case 'play':
+                return this.handlePlay(group.ID);
+            case 'pause':
+                return this.handlePause(group.ID);
+            case 'toggle':
+                return this.handleTogglePlayPause(group.ID);
+            case 'next':
+                return this.handleNext(group.ID);
+            case 'previous':
+                return this.handlePrevious(group.ID);
+            case 'volume':
+                if (params.volume !== undefined && !isNaN(parseInt(params.volume, 10))) {
+                    return this.handleSetVolume(group.ID, params.volume);
+                }
+                if (params.adjustment !== undefined && !isNaN(parseInt(params.adjustment, 10))) {
+                    return this.handleAdjustVolume(group.ID, params.adjustment);
+                }
+                return null;
+            case 'mute':
+                return this.handleSetMute(group.ID, params.muted);
+            default:
+                return null;
+        }
+    },
+
+    startMqtt: function() {
+        const options = { ...DEFAULT_MQTT, ...(this.config.mqtt || {}) };
+        // SONOS_START comes again on every browser reload, keep the existing connection unless the settings changed
+        if (this.mqttClient && JSON.stringify(options) === JSON.stringify(this.mqttOptions)) return;
+
+        this.stopMqtt();
+        if (!options.url) return;
+
+        this.mqttOptions = options;
+        this.mqttPublished = {};
+        this.mqttDiscovered = {};
+
+        const statusTopic = `${options.baseTopic}/status`;
+        this.mqttClient = mqtt.connect(options.url, {
+            username: options.username || undefined,
+            password: options.password || undefined,
+            clientId: `mmm-sonos-${crypto.randomBytes(4).toString('hex')}`,
+            will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+        });
+
+        this.mqttClient.on('connect', () => {
+            Log.log(`[MMM-Sonos] Connected to MQTT broker ${options.url}`);
+            this.mqttClient.publish(statusTopic, 'online', { retain: true, qos: 1 });
+            this.mqttClient.subscribe(`${options.baseTopic}/+/command/+`, error => {
+                if (error) Log.error(`[MMM-Sonos] Failed to subscribe to MQTT commands: ${error.message}`);
+            });
+
+            // Publish everything again after a reconnect, the broker might have lost retained messages
+            this.mqttPublished = {};
+            this.mqttDiscovered = {};
+            Object.values(this.itemsById).forEach(item => this.publishMqttState(item));
+        });
+        this.mqttClient.on('message', (topic, message) => {
+            this.handleMqttCommand(topic, message.toString());
+        });
+        this.mqttClient.on('error', error => {
+            Log.error(`[MMM-Sonos] MQTT error: ${error.message}`);
+        });
+    },
+
+    stopMqtt: function() {
+        if (!this.mqttClient) return;
+
+        this.mqttClient.publish(`${this.mqttOptions.baseTopic}/status`, 'offline', { retain: true, qos: 1 });
+        this.mqttClient.end();
+        this.mqttClient = null;
+    },
+
+    mqttSlug: function(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    },
+
+    // Rooms share the state of their group, volume and mute commands apply to the whole group
+    publishMqttState: function(item) {
+        if (!this.mqttClient || !this.mqttClient.connected) return;
+
+        const { baseTopic, homeAssistant } = this.mqttOptions;
+        this.getVisibleMembers(item.group).forEach(member => {
+            const slug = this.mqttSlug(member.ZoneName);
+            const payload = JSON.stringify({
+                room: member.ZoneName,
+                uuid: member.UUID,
+                groupId: item.group.ID,
+                groupName: item.group.Name,
+                isCoordinator: member.UUID === item.group.Coordinator,
+                state: item.state,
+                volume: item.volume,
+                muted: item.isMuted,
+                playMode: item.playMode,
+                track: item.track ? {
+                    title: item.track.title,
+                    artist: item.track.artist,
+                    album: item.track.album,
+                    duration: item.track.duration,
+                    albumArtURL: item.track.albumArtURL,
+                    source: item.track.source,
+                    station: item.track.station || null
+                } : null
+            });
+
+            if (homeAssistant) this.publishMqttDiscovery(member, slug);
+
+            // Position updates don't change the payload, skip them
+            if (this.mqttPublished[slug] === payload) return;
+            this.mqttPublished[slug] = payload;
+            this.mqttClient.publish(`${baseTopic}/${slug}/state`, payload, { retain: true });
+        });
+    },
+
+    publishMqttDiscovery: function(member, slug) {
+        if (this.mqttDiscovered[slug]) return;
+        this.mqttDiscovered[slug] = true;
+
+        const { baseTopic, discoveryPrefix } = this.mqttOptions;
+        const nodeId = `mmm_sonos_${this.mqttSlug(member.UUID)}`;
+        const stateTopic = `${baseTopic}/${slug}/state`;
+        const commandTopic = action => `${baseTopic}/${slug}/command/${action}`;
+        const common = {
+            availability_topic: `${baseTopic}/status`,
+            device: {
+                identifiers: [member.UUID],
+                name: member.ZoneName,
+                manufacturer: 'Sonos'
+            }
+        };
+
+        const entities = [
+            ['sensor', 'state', {
+                name: 'State',
+                icon: 'mdi:speaker',
+                state_topic: stateTopic,
+                value_template: '{{ value_json.state }}',
+                json_attributes_topic: stateTopic
+            }],
+            ['sensor', 'track', {
+                name: 'Track',
+                icon: 'mdi:music',
+                state_topic: stateTopic,
+                value_template: "{{ value_json.track.title if value_json.track else '' }}"
+            }],
+            ['number', 'volume', {
+                name: 'Volume',
+                icon: 'mdi:volume-high',
+                state_topic: stateTopic,
+                value_template: '{{ value_json.volume }}',
+                command_topic: commandTopic('volume'),
+                min: 0,
+                max: 100,
+                step: 1
+            }],
+            ['switch', 'mute', {
+                name: 'Mute',
+                icon: 'mdi:volume-off',
+                state_topic: stateTopic,
+                value_template: "{{ 'ON' if value_json.muted else 'OFF' }}",
+                command_topic: commandTopic('mute'),
+                payload_on: 'ON',
+                payload_off: 'OFF'
+            }],
+            ...['play', 'pause', 'next', 'previous'].map(action => ['button', action, {
+                name: action.charAt(0).toUpperCase() + action.slice(1),
+                command_topic: commandTopic(action)
+            }])
+        ];
+
+        entities.forEach(([component, objectId, config]) => {
+            this.mqttClient.publish(
+                `${discoveryPrefix}/${component}/${nodeId}/${objectId}/config`,
+                JSON.stringify({ ...config, ...common, unique_id: `${nodeId}_${objectId}` }),
+                { retain: true }
+            );
+        });
+    },
+
+    // <baseTopic>/<room>/command/<action>, volume takes "30" or a relative "+5" / "-5", mute takes "ON" / "OFF"
+    handleMqttCommand: function(topic, message) {
+        const { baseTopic } = this.mqttOptions;
+        const [slug, , action] = topic.substring(baseTopic.length + 1).split('/');
+
+        const member = this.allGroups
+            .flatMap(group => this.getVisibleMembers(group))
+            .find(m => this.mqttSlug(m.ZoneName) === slug);
+        const group = member && this.resolveGroup(member.ZoneName);
+
+        const value = message.trim();
+        const command = !group
+            ? this.commandFailed(`Group not found for MQTT room: ${slug}`)
+            : this.runCommand(group, action, {
+                volume: /^[+-]/.test(value) ? undefined : value,
+                adjustment: /^[+-]/.test(value) ? value : undefined,
+                muted: !['false', 'off', '0'].includes(value.toLowerCase())
+            }) || this.commandFailed(`Invalid MQTT command "${action}" with payload "${value}"`, group);
+
+        command.then(result => {
+            if (!this.mqttClient) return;
+            this.mqttClient.publish(`${baseTopic}/${slug}/result`, JSON.stringify({ ...result, action }));
+        });
+    },
+
+    serveAlbumArt: function(key, res) {
+        if (!/^[a-f0-9]{40}$/.test(key)) {
+            res.status(400).end();
+            return;
+        }
+
+        const cached = this.findCachedAlbumArt(key);
+        if (cached) {
+            res.sendFile(cached);
+            return;
+        }
+
+        const source = this.albumArtSources[key];
+        if (!source) {
+            res.status(404).end();
+            return;
+        }
+
+        this.fetchAlbumArt(key, source)
+            .then(file => {
+                res.sendFile(file);
+            })
+            .catch(error => {
+                Log.error(`[MMM-Sonos] Failed to fetch album art from ${source}: ${error.message}`);
+                res.status(502).end();
+            });
+    },
+
+    findCachedAlbumArt: function(key) {
+        return Object.values(ALBUM_ART_TYPES)
+            .map(extension => path.join(this.albumArtCacheDir, `${key}.${extension}`))
+            .find(file => fs.existsSync(file));
+    },
+
+    fetchAlbumArt: function(key, source) {
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+
+        return withTimeout(fetch(source), timeouts.apiCall, 'Album art request timed out')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+                const extension = ALBUM_ART_TYPES[contentType];
+                if (!extension) {
+                    throw new Error(`Unsupported content type "${contentType}"`);
+                }
+                return response.arrayBuffer().then(buffer => ({ buffer, extension }));
+            })
+            .then(({ buffer, extension }) => {
+                const file = path.join(this.albumArtCacheDir, `${key}.${extension}`);
+                return fs.promises.mkdir(this.albumArtCacheDir, { recursive: true })
+                    .then(() => fs.promises.writeFile(file, Buffer.from(buffer)))
+                    .then(() => {
+                        this.debugLog(`Cached album art ${source} as ${path.basename(file)}`);
+                        this.pruneAlbumArtCache();
+                        return file;
+                    });
+            });
+    },
+
+    pruneAlbumArtCache: function() {
+        this.pruneCache(this.albumArtCacheDir, this.config?.albumArtCacheSize ?? 200, 'album art');
+    },
+
+    // Keeps the most recently written files of a cache directory
+    pruneCache: function(directory, maxEntries, description) {
+        fs.promises.readdir(directory)
+            .then(files => Promise.all(files.map(name => {
+                const file = path.join(directory, name);
+                return fs.promises.stat(file).then(stats => ({ file, mtime: stats.mtimeMs }));
+            })))
+            .then(entries => {
+                if (entries.length <= maxEntries) return;
+
+                // Oldest first
+                entries.sort((a, b) => a.mtime - b.mtime);
+                return Promise.all(entries
+                    .slice(0, entries.length - maxEntries)
+                    .map(entry => fs.promises.unlink(entry.file)));
+            })
+            .catch(error => {
+                Log.warn(`[MMM-Sonos] Failed to prune ${description} cache: ${error.message}`);
+            });
+    },
+
+    // Lyrics are cached on disk per track, only misses reach the provider
+    getLyrics: function(track, options) {
+        // Another provider, or another folder or URL, has lyrics of its own
+        const source = options.provider === 'http' ? options.url : options.folder;
+        const key = crypto.createHash('sha1')
+            .update(`${options.provider}\n${source}\n${track.artist || ''}\n${track.title}`.toLowerCase())
+            .digest('hex');
+        if (this.lyricsRequests[key]) {
+            return this.lyricsRequests[key];
+        }
+
+        const file = path.join(this.lyricsCacheDir, `${key}.lrc`);
+        const request = fs.promises.readFile(file, 'utf8')
+            .catch(() => {
+                const method = LYRICS_PROVIDERS[options.provider];
+                if (!method) {
+                    throw new Error(`Unknown lyrics provider "${options.provider}"`);
+                }
+
+                return this[method](track, options).then(text => {
+                    if (!text) return null;
+                    return fs.promises.mkdir(this.lyricsCacheDir, { recursive: true })
+                        .then(() => fs.promises.writeFile(file, text))
+                        .then(() => {
+                            this.debugLog(`Cached lyrics for "${track.artist} - ${track.title}" as ${path.basename(file)}`);
+                            this.pruneCache(this.lyricsCacheDir, LYRICS_CACHE_SIZE, 'lyrics');
+                            return text;
+                        });
+                });
+            })
+            .then(text => text ? this.parseLrc(text) : null)
+            .finally(() => {
+                delete this.lyricsRequests[key];
+            });
+
+        this.lyricsRequests[key] = request;
+        return request;
+    },
+
+    // Looks for "Artist - Title.lrc", then "Title.lrc", ignoring case and characters not allowed in file names
+    readLocalLyrics: function(track, options) {
+        const folder = path.resolve(this.path, options.folder || DEFAULT_LYRICS.folder);
+        const normalize = name => name.replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const names = [track.artist ? `${track.artist} - ${track.title}` : null, track.title]
+            .filter(Boolean)
+            .map(normalize);
+
+        return fs.promises.readdir(folder)
+            .catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            })
+            .then(files => {
+                const candidates = files.filter(name => /\.lrc$/i.test(name));
+                for (const name of names) {
+                    const match = candidates.find(candidate => normalize(candidate.slice(0, -4)) === name);
+                    if (match) {
+                        return fs.promises.readFile(path.join(folder, match), 'utf8');
+                    }
+                }
+                return null;
+            });
+    },
+
+    // The URL is a template, e.g. https://lrclib.net/api/get?artist_name={artist}&track_name={title}&duration={duration}
+    fetchHttpLyrics: function(track, options) {
+        if (!options.url) {
+            return Promise.reject(new Error('No lyrics URL configured'));
+        }
+
+        const timeouts = this.config?.timeouts || DEFAULT_TIMEOUTS;
+        const values = {
+            artist: track.artist || '',
+            title: track.title,
+            album: track.album || '',
+            duration: Math.round(track.duration || 0)
+        };
+        const url = options.url.replace(/\{(artist|title|album|duration)\}/g, (match, name) => encodeURIComponent(values[name]));
+
+        return withTimeout(fetch(url, { headers: { 'User-Agent': 'MMM-Sonos' } }), timeouts.apiCall, 'Lyrics request timed out')
+            .then(response => {
+                if (response.status === 404) return null;
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const contentType = (response.headers.get('content-type') || '').toLowerCase();
+                if (!contentType.includes('json')) {
+                    return response.text();
+                }
+
+                // LRCLIB style answers, a single result or a list of search results
+                return response.json().then(body => {
+                    const result = Array.isArray(body) ? body.find(entry => entry && entry.syncedLyrics) || body[0] : body;
+                    return result ? result.syncedLyrics || result.plainLyrics || result.lyrics || null : null;
+                });
+            })
+            .then(text => text && text.trim() ? text : null);
+    },
+
+    // Timed lines as [{time, text}] sorted by time in seconds, or untimed lines with a null time for plain lyrics
+    parseLrc: function(text) {
+        const offset = parseInt((text.match(/^\[offset:\s*([+-]?\d+)\]/mi) || [])[1], 10) || 0;
+        const lines = [];
+        const plain = [];
+
+        text.split(/\r?\n/).forEach(raw => {
+            const stamps = [...raw.matchAll(/\[(\d+):(\d+(?:[.:]\d+)?)\]/g)];
+            const content = raw.replace(/\[[^\]]*\]/g, '').trim();
+            if (stamps.length === 0) {
+                if (content) plain.push({ time: null, text: content });
+                return;
+            }
+            stamps.forEach(stamp => {
+                const time = parseInt(stamp[1], 10) * 60 + parseFloat(stamp[2].replace(':', '.')) - offset / 1000;
+                lines.push({ time: Math.max(0, time), text: content });
+            });
+        });
+
+        if (lines.length === 0) {
+            return plain.length > 0 ? plain : null;
+        }
+        return lines.sort((a, b) => a.time - b.time);
     }
 });
\ No newline at end of file
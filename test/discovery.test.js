@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createHelper, createGroup } = require('./helpers');
+
+describe('Discovery', () => {
+    let helper;
+    let notifications;
+    let discoveries;
+
+    beforeEach(() => {
+        ({ helper, notifications } = createHelper());
+        discoveries = 0;
+
+        // The household answers slowly, like real speakers
+        const groups = [createGroup('RINCON_1', 'Kitchen'), createGroup('RINCON_2', 'Living Room')];
+        helper.asyncHouseholds = Promise.resolve([{
+            id: 'Sonos_test',
+            name: 'Home',
+            device: {
+                getAllGroups: () => {
+                    discoveries++;
+                    return new Promise(resolve => setTimeout(() => resolve(groups), 20));
+                }
+            }
+        }]);
+        // Without speakers to ask for their track and volume
+        helper.setGroups = function(allGroups) {
+            this.allGroups = allGroups;
+            const items = allGroups
+                .filter(group => Object.values(this.instances).some(instance => this.instanceIncludesGroup(instance, group)))
+                .reduce((map, group) => {
+                    map[group.ID] = { group, track: null, state: 'stopped', volume: 20, isMuted: false };
+                    return map;
+                }, {});
+            this.sendGroupNotification('SET_SONOS_GROUPS', items);
+        };
+    });
+
+    function start(identifier, rooms = []) {
+        helper.socketNotificationReceived('SONOS_START', { identifier, rooms, excludeRooms: [] });
+    }
+
+    function groupsSentTo(identifier) {
+        return notifications
+            .filter(({ notification, payload }) => notification === 'SET_SONOS_GROUPS' && payload.identifier === identifier)
+            .map(({ payload }) => Object.keys(payload.items));
+    }
+
+    it('discovers once for instances starting together', async () => {
+        start('first', ['Kitchen']);
+        start('second', ['Living Room']);
+        await helper.discoveryInProgress;
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(discoveries, 1);
+        assert.deepStrictEqual(groupsSentTo('first').at(-1), ['RINCON_1']);
+        assert.deepStrictEqual(groupsSentTo('second').at(-1), ['RINCON_2']);
+    });
+
+    it('sends the known groups to a reloaded instance', async () => {
+        start('first');
+        await helper.discoveryInProgress;
+
+        start('first');
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.strictEqual(discoveries, 1);
+        assert.deepStrictEqual(groupsSentTo('first'), [['RINCON_1', 'RINCON_2'], ['RINCON_1', 'RINCON_2']]);
+    });
+
+    it('discovers again for an instance displaying groups nobody fetched', async () => {
+        start('first', ['Kitchen']);
+        await helper.discoveryInProgress;
+
+        start('second', ['Living Room']);
+        await new Promise(resolve => setImmediate(resolve));
+        await helper.discoveryInProgress;
+
+        assert.strictEqual(discoveries, 2);
+        assert.deepStrictEqual(groupsSentTo('second').at(-1), ['RINCON_2']);
+    });
+
+    it('discovers on the first start and sends the groups to a start during it', async () => {
+        let runs = 0;
+        const runDiscovery = helper.runDiscovery;
+        helper.runDiscovery = function(attempts) {
+            runs++;
+            return runDiscovery.call(this, attempts);
+        };
+
+        start('first');
+        start('first');
+        assert.ok(helper.discoveryInProgress);
+        assert.deepStrictEqual(groupsSentTo('first'), []);
+
+        await helper.discoveryInProgress;
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.strictEqual(runs, 1);
+        assert.strictEqual(discoveries, 1);
+        assert.deepStrictEqual(groupsSentTo('first'), [['RINCON_1', 'RINCON_2'], ['RINCON_1', 'RINCON_2']]);
+    });
+
+    it('runs one more discovery for a burst of zone changes', async () => {
+        helper.discoverGroups();
+        helper.discoverGroups();
+        helper.discoverGroups();
+        await helper.discoveryInProgress;
+        await helper.discoveryInProgress;
+
+        assert.strictEqual(discoveries, 2);
+    });
+});
@@ -0,0 +1,100 @@
+// Loads node_helper.js outside of MagicMirror, with the core modules it requires replaced by stubs
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stubs = {
+    node_helper: { create: definition => definition },
+    logger: { log() {}, info() {}, warn() {}, error() {}, debug() {} }
+};
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, ...args) {
+    return stubs.hasOwnProperty(request) ? request : resolveFilename.call(this, request, ...args);
+};
+Object.entries(stubs).forEach(([name, exports]) => {
+    require.cache[name] = { id: name, filename: name, loaded: true, exports };
+});
+
+const helperPath = require.resolve('../node_helper.js');
+
+// Each helper gets its own cache directory, removed when the tests are done
+const directories = [];
+process.on('exit', () => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+// A fresh helper each time, its state lives on the module object. Routes and socket notifications are recorded
+function createHelper(config = {}) {
+    delete require.cache[helperPath];
+    const helper = require(helperPath);
+
+    const routes = {};
+    const notifications = [];
+    helper.name = 'MMM-Sonos';
+    helper.path = fs.mkdtempSync(path.join(os.tmpdir(), 'mmm-sonos-'));
+    directories.push(helper.path);
+    helper.expressApp = {
+        get: (route, handler) => { routes[`GET ${route}`] = handler; },
+        post: (route, handler) => { routes[`POST ${route}`] = handler; }
+    };
+    helper.sendSocketNotification = (notification, payload) => notifications.push({ notification, payload });
+    // MagicMirror calls init() before start()
+    helper.init();
+    helper.start();
+    helper.config = config;
+
+    return { helper, routes, notifications };
+}
+
+// A group as getAllGroups() returns it, its coordinator and group volume are fakes recording the calls
+function createGroup(id, name, calls = []) {
+    const device = {
+        play: () => { calls.push(['play', name]); return Promise.resolve(true); },
+        pause: () => { calls.push(['pause', name]); return Promise.resolve(true); }
+    };
+    return {
+        ID: id,
+        Name: name,
+        Coordinator: `${id}-coordinator`,
+        host: '127.0.0.1',
+        port: 1400,
+        householdId: 'Sonos_test',
+        householdName: 'Home',
+        ZoneGroupMember: [{ ZoneName: name, UUID: `${id}-coordinator` }],
+        CoordinatorDevice: () => device
+    };
+}
+
+// Adds groups the way setGroups() does, without a network
+function addGroups(helper, groups, calls = []) {
+    helper.allGroups.push(...groups);
+    groups.forEach(group => {
+        helper.groupsById[group.ID] = group;
+        helper.itemsById[group.ID] = { group, track: null, state: 'paused', volume: 20, isMuted: false };
+    });
+    helper.groupRenderingControl = group => ({
+        SnapshotGroupVolume: () => Promise.resolve(true),
+        SetGroupVolume: volume => { calls.push(['volume', group.Name, volume]); return Promise.resolve(true); },
+        SetRelativeGroupVolume: adjustment => { calls.push(['adjust', group.Name, adjustment]); return Promise.resolve(true); },
+        SetGroupMute: muted => { calls.push(['mute', group.Name, muted]); return Promise.resolve(true); }
+    });
+}
+
+// Just enough of express' request and response
+function createRequest({ method = 'GET', params = {}, query = {}, headers = {}, body } = {}) {
+    const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, params, query, body, get: name => lowerCaseHeaders[name.toLowerCase()] };
+}
+
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) { res.statusCode = code; return res; },
+        json(body) { res.body = body; return res; },
+        end() { return res; }
+    };
+    return res;
+}
+
+module.exports = { createHelper, createGroup, addGroups, createRequest, createResponse };
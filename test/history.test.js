@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createHelper, createGroup, addGroups } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Play history and statistics', () => {
+    let helper;
+    let kitchen;
+
+    // Plays a track in the kitchen for the given minutes
+    function play(title, artist, minutes) {
+        const track = { title, artist, album: null, duration: 240 };
+        helper.recordHistory({ group: kitchen, track, state: 'playing' });
+        mock.timers.tick(minutes * 60 * 1000);
+        helper.recordHistory({ group: kitchen, track, state: 'paused' });
+    }
+
+    beforeEach(() => {
+        // A Saturday, the week started five days ago
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 0, 31, 20, 0).getTime() });
+        ({ helper } = createHelper());
+        kitchen = createGroup('RINCON_1', 'Kitchen');
+        addGroups(helper, [kitchen]);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('records one entry per track with the time listened', () => {
+        play('One', 'Artist', 3);
+        play('Two', 'Artist', 4);
+
+        assert.deepStrictEqual(helper.getHistory(null).map(entry => [entry.title, entry.listened]), [['Two', 240], ['One', 180]]);
+    });
+
+    it('keeps a month of history, whatever the number of tracks', () => {
+        helper.history = Array.from({ length: 2000 }, (value, index) => ({
+            room: 'Kitchen', rooms: ['Kitchen'], title: `Old ${index}`, artist: 'Artist', startedAt: Date.now() - 40 * DAY + index * 1000, listened: 200
+        })).concat(Array.from({ length: 2000 }, (value, index) => ({
+            room: 'Kitchen', rooms: ['Kitchen'], title: `Recent ${index}`, artist: 'Artist', startedAt: Date.now() - 20 * DAY + index * 1000, listened: 200
+        })));
+
+        play('New', 'Artist', 3);
+
+        assert.strictEqual(helper.history.length, 2001);
+        assert.strictEqual(helper.history[0].title, 'Recent 0');
+    });
+
+    it('sums up today, this week and this month', () => {
+        helper.history = [
+            { room: 'Kitchen', rooms: ['Kitchen', 'Bath'], title: 'Monthly', artist: 'Band', startedAt: Date.now() - 20 * DAY, listened: 600 },
+            { room: 'Kitchen', rooms: ['Kitchen'], title: 'Weekly', artist: 'Band', startedAt: Date.now() - 3 * DAY, listened: 300 }
+        ];
+        play('Daily', 'Singer', 3);
+        play('Skipped', 'Singer', 0.25);
+
+        const stats = helper.getStats(null);
+        assert.deepStrictEqual([stats.today.plays, stats.week.plays, stats.month.plays], [1, 2, 3]);
+        assert.deepStrictEqual([stats.today.listened, stats.week.listened, stats.month.listened], [195, 495, 1095]);
+        assert.deepStrictEqual(stats.month.artists.map(artist => [artist.name, artist.plays]), [['Band', 2], ['Singer', 1]]);
+        assert.deepStrictEqual(stats.month.tracks.map(track => track.title), ['Monthly', 'Weekly', 'Daily']);
+        assert.deepStrictEqual(stats.month.rooms.map(room => [room.room, room.listened]), [['Kitchen', 1095], ['Bath', 600]]);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createHelper, createGroup, addGroups, createRequest, createResponse } = require('./helpers');
+
+describe('HTTP API', () => {
+    let helper;
+    let routes;
+    let calls;
+
+    beforeEach(() => {
+        ({ helper, routes } = createHelper({ httpApi: true, httpApiKey: 'secret' }));
+        calls = [];
+        addGroups(helper, [createGroup('RINCON_1', 'Kitchen', calls), createGroup('RINCON_2', 'Living Room', calls)], calls);
+    });
+
+    // Runs a registered route the way express would
+    function request(route, options = {}) {
+        const req = createRequest({ headers: { 'X-Api-Key': 'secret' }, ...options });
+        const res = createResponse();
+        return Promise.resolve(routes[route](req, res)).then(() => res);
+    }
+
+    it('registers its routes under the module name', () => {
+        assert.deepStrictEqual(Object.keys(routes).filter(route => !route.includes('albumart')).sort(), [
+            'GET /MMM-Sonos/history',
+            'GET /MMM-Sonos/rooms/:room',
+            'GET /MMM-Sonos/state',
+            'GET /MMM-Sonos/stats',
+            'POST /MMM-Sonos/rooms/:room/:action'
+        ]);
+    });
+
+    it('answers the state of every group', async () => {
+        const res = await request('GET /MMM-Sonos/state');
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(Object.keys(res.body), ['RINCON_1', 'RINCON_2']);
+        assert.strictEqual(res.body.RINCON_1.group.Name, 'Kitchen');
+    });
+
+    it('answers the item of a room, case-insensitive', async () => {
+        const res = await request('GET /MMM-Sonos/rooms/:room', { params: { room: 'living room' } });
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.group.ID, 'RINCON_2');
+    });
+
+    it('plays and pauses a room', async () => {
+        let res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Kitchen', action: 'play' }, body: {} });
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.success, true);
+        assert.strictEqual(res.body.groupName, 'Kitchen');
+
+        res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'RINCON_2', action: 'pause' }, body: {} });
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(calls, [['play', 'Kitchen'], ['pause', 'Living Room']]);
+    });
+
+    it('sets the volume of a room', async () => {
+        const res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Kitchen', action: 'volume' }, body: { volume: 35 } });
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(calls, [['volume', 'Kitchen', 35]]);
+    });
+
+    it('rejects a volume command without a volume', async () => {
+        const res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Kitchen', action: 'volume' }, body: {} });
+        assert.strictEqual(res.statusCode, 400);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('reports a failing speaker', async () => {
+        helper.groupsById.RINCON_1.CoordinatorDevice = () => ({ play: () => Promise.reject(new Error('Speaker unreachable')) });
+        const res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Kitchen', action: 'play' }, body: {} });
+        assert.strictEqual(res.statusCode, 502);
+        assert.strictEqual(res.body.error, 'Speaker unreachable');
+    });
+
+    it('answers 404 for an unknown room', async () => {
+        const res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Garage', action: 'play' }, body: {} });
+        assert.strictEqual(res.statusCode, 404);
+        assert.strictEqual(res.body.error, 'Group not found: Garage');
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('answers 404 for an unknown action', async () => {
+        const res = await request('POST /MMM-Sonos/rooms/:room/:action', { method: 'POST', params: { room: 'Kitchen', action: 'shutdown' }, body: {} });
+        assert.strictEqual(res.statusCode, 404);
+    });
+
+    it('refuses a wrong or missing API key', async () => {
+        let res = await request('GET /MMM-Sonos/state', { headers: { 'X-Api-Key': 'wrong' } });
+        assert.strictEqual(res.statusCode, 401);
+
+        res = await request('GET /MMM-Sonos/state', { headers: {} });
+        assert.strictEqual(res.statusCode, 401);
+    });
+
+    it('only accepts the API key in the header', async () => {
+        const res = await request('GET /MMM-Sonos/state', { headers: {}, query: { apiKey: 'secret' } });
+        assert.strictEqual(res.statusCode, 401);
+    });
+
+    it('accepts any caller without an API key', async () => {
+        helper.config.httpApiKey = '';
+        const res = await request('GET /MMM-Sonos/state', { headers: {} });
+        assert.strictEqual(res.statusCode, 200);
+    });
+
+    it('is not found until enabled', async () => {
+        helper.config.httpApi = false;
+        const res = await request('GET /MMM-Sonos/state');
+        assert.strictEqual(res.statusCode, 404);
+        assert.strictEqual(res.body, undefined);
+    });
+});
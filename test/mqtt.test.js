@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const { createHelper, createGroup, addGroups } = require('./helpers');
+
+// Resolves with the first message on a topic matching the predicate, retained ones included
+function waitForMessage(client, predicate) {
+    return new Promise(resolve => {
+        const onMessage = (topic, message, packet) => {
+            if (!predicate(topic, message.toString())) return;
+            client.removeListener('message', onMessage);
+            resolve({ topic, message: message.toString(), retain: packet.retain });
+        };
+        client.on('message', onMessage);
+    });
+}
+
+function waitForConnection(client) {
+    return client.connected ? Promise.resolve() : new Promise(resolve => client.once('connect', resolve));
+}
+
+describe('MQTT bridge', () => {
+    let broker;
+    let server;
+    let url;
+    let helper;
+    let calls;
+    let client;
+
+    before(async () => {
+        const { Aedes } = await import('aedes');
+        broker = await Aedes.createBroker();
+        server = net.createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `mqtt://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        ({ helper } = createHelper({ mqtt: { url, homeAssistant: true } }));
+        calls = [];
+        addGroups(helper, [createGroup('RINCON_1', 'Kitchen', calls)], calls);
+        helper.itemsById.RINCON_1.state = 'playing';
+        helper.itemsById.RINCON_1.track = { title: 'Song', artist: 'Artist', album: 'Album', duration: 180 };
+
+        helper.startMqtt();
+        await waitForConnection(helper.mqttClient);
+
+        client = await mqtt.connectAsync(url);
+    });
+
+    afterEach(async () => {
+        helper.stopMqtt();
+        await client.endAsync();
+    });
+
+    it('publishes a retained state per room', async () => {
+        const message = waitForMessage(client, topic => topic === 'sonos/kitchen/state');
+        await client.subscribeAsync('sonos/kitchen/state');
+        const { message: payload, retain } = await message;
+
+        assert.strictEqual(retain, true);
+        assert.deepStrictEqual(JSON.parse(payload), {
+            room: 'Kitchen',
+            uuid: 'RINCON_1-coordinator',
+            groupId: 'RINCON_1',
+            groupName: 'Kitchen',
+            isCoordinator: true,
+            state: 'playing',
+            volume: 20,
+            muted: false,
+            track: { title: 'Song', artist: 'Artist', album: 'Album', duration: 180, station: null }
+        });
+    });
+
+    it('publishes a retained online status', async () => {
+        const message = waitForMessage(client, topic => topic === 'sonos/status');
+        await client.subscribeAsync('sonos/status');
+        assert.deepStrictEqual(await message, { topic: 'sonos/status', message: 'online', retain: true });
+    });
+
+    it('runs commands and publishes their result', async () => {
+        const result = waitForMessage(client, topic => topic === 'sonos/kitchen/result');
+        await client.subscribeAsync('sonos/kitchen/result');
+        await client.publishAsync('sonos/kitchen/command/play', '');
+
+        assert.deepStrictEqual(JSON.parse((await result).message), {
+            success: true,
+            groupId: 'RINCON_1',
+            groupName: 'Kitchen',
+            error: null,
+            action: 'play'
+        });
+        assert.deepStrictEqual(calls, [['play', 'Kitchen']]);
+    });
+
+    it('sets absolute and relative volumes', async () => {
+        await client.subscribeAsync('sonos/kitchen/result');
+        let result = waitForMessage(client, topic => topic === 'sonos/kitchen/result');
+        await client.publishAsync('sonos/kitchen/command/volume', '30');
+        await result;
+        result = waitForMessage(client, topic => topic === 'sonos/kitchen/result');
+        await client.publishAsync('sonos/kitchen/command/volume', '-5');
+        await result;
+
+        assert.deepStrictEqual(calls, [['volume', 'Kitchen', 30], ['adjust', 'Kitchen', -5]]);
+    });
+
+    it('answers unknown rooms with a failed result', async () => {
+        const result = waitForMessage(client, topic => topic === 'sonos/garage/result');
+        await client.subscribeAsync('sonos/garage/result');
+        await client.publishAsync('sonos/garage/command/play', '');
+
+        assert.strictEqual(JSON.parse((await result).message).success, false);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('publishes Home Assistant discovery payloads', async () => {
+        const message = waitForMessage(client, topic => topic === 'homeassistant/number/mmm_sonos_rincon_1_coordinator/volume/config');
+        await client.subscribeAsync('homeassistant/#');
+        const { message: payload, retain } = await message;
+
+        assert.strictEqual(retain, true);
+        assert.deepStrictEqual(JSON.parse(payload), {
+            name: 'Volume',
+            icon: 'mdi:volume-high',
+            state_topic: 'sonos/kitchen/state',
+            value_template: '{{ value_json.volume }}',
+            command_topic: 'sonos/kitchen/command/volume',
+            min: 0,
+            max: 100,
+            step: 1,
+            availability_topic: 'sonos/status',
+            device: { identifiers: ['RINCON_1-coordinator'], name: 'Kitchen', manufacturer: 'Sonos' },
+            unique_id: 'mmm_sonos_rincon_1_coordinator_volume'
+        });
+    });
+
+    it('keeps the connection when started again with the same settings', () => {
+        const mqttClient = helper.mqttClient;
+        helper.startMqtt();
+        assert.strictEqual(helper.mqttClient, mqttClient);
+    });
+
+    it('reconnects when the settings changed', async () => {
+        const previous = helper.mqttClient;
+        const offline = waitForMessage(client, (topic, message) => topic === 'sonos/status' && message === 'offline');
+        await client.subscribeAsync(['sonos/status', 'mirror/kitchen/state']);
+
+        helper.config = { mqtt: { url, baseTopic: 'mirror' } };
+        helper.startMqtt();
+        assert.notStrictEqual(helper.mqttClient, previous);
+
+        const state = waitForMessage(client, topic => topic === 'mirror/kitchen/state');
+        await offline;
+        assert.strictEqual(JSON.parse((await state).message).room, 'Kitchen');
+    });
+});
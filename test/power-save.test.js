@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createHelper, createGroup, addGroups } = require('./helpers');
+
+// Minute by minute, each timer then sees the time it fires at
+function advance(minutes) {
+    for (let minute = 0; minute < minutes; minute++) {
+        mock.timers.tick(60 * 1000);
+    }
+}
+
+// Lets the commands the rules started reach the fake speakers
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Power saving', () => {
+    let helper;
+    let calls;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: new Date(2026, 0, 5, 21, 0).getTime() });
+        ({ helper } = createHelper());
+        calls = [];
+        addGroups(helper, [createGroup('RINCON_1', 'Kitchen', calls)], calls);
+        helper.groupHealth.RINCON_1 = { playState: 'playing', lastVolume: 40 };
+        helper.instances.mirror = { identifier: 'mirror', powerSave: true };
+        helper.config = helper.instances.mirror;
+    });
+
+    afterEach(() => {
+        helper.stop();
+        mock.timers.reset();
+    });
+
+    it('starts when nobody is watching and ends when someone is back', () => {
+        helper.discoverGroups = () => calls.push(['discover']);
+
+        helper.handlePresence('mirror', false, true);
+        assert.strictEqual(helper.powerSave, true);
+
+        helper.handlePresence('mirror', true, true);
+        assert.strictEqual(helper.powerSave, false);
+        assert.deepStrictEqual(calls, [['discover']]);
+    });
+
+    it('keeps checking rules', async () => {
+        helper.rules = [{ name: 'Quiet hours', from: '21:30', to: '07:00', volume: 15 }, { pauseAfter: 60 }];
+        helper.handlePresence('mirror', true, false);
+
+        // The quiet hours start, nothing happens on the speakers in the meantime
+        advance(31);
+        await flush();
+        assert.deepStrictEqual(calls, [['volume', 'Kitchen', 15]]);
+
+        advance(30);
+        await flush();
+        assert.deepStrictEqual(calls, [['volume', 'Kitchen', 15], ['pause', 'Kitchen']]);
+    });
+
+    it('stops checking rules when someone is back', async () => {
+        helper.discoverGroups = () => {};
+        helper.rules = [{ from: '21:30', to: '07:00', volume: 15 }];
+        helper.handlePresence('mirror', false, true);
+        helper.handlePresence('mirror', true, true);
+
+        advance(31);
+        await flush();
+        assert.deepStrictEqual(calls, []);
+    });
+});